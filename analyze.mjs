@@ -4,6 +4,7 @@ import path from "path";
 import { fileURLToPath } from "url";
 import * as cheerio from "cheerio";
 import iconv from "iconv-lite";
+import { CONFIG_FILES, UsageError, loadConfig, parseArgs, renderHelp } from "./config.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,13 +50,126 @@ function isExternalUrl(href) {
   return /^([a-z]+:)?\/\//i.test(href) || href.startsWith("mailto:") || href.startsWith("data:");
 }
 
+const DEFAULT_OUT = "audit-out";
+const DEFAULT_LANG = "en";
+
+// Message catalog for the console, --help and the reports (--lang / "lang" in the config)
+const MESSAGES = {
+  en: {
+    usage: "Usage: node analyze.mjs [options] <srcDir> [outDir]",
+    seeHelp: "(see --help)",
+    optSrc: "Manual directory to analyze",
+    optOut: `Report directory (default: ${DEFAULT_OUT})`,
+    optConfig: `Config file (default: ${CONFIG_FILES.join(" or ")} in the working directory)`,
+    optLang: langs => `Report language: ${langs} (default: ${DEFAULT_LANG})`,
+    optHelp: "Show this help",
+    helpFooter: "srcDir, analyzeOutDir and lang can also be set in the config file (see config.mjs).",
+    title: "Honda manual audit",
+    date: "Date",
+    summary: "Summary",
+    totalFiles: "Files in total",
+    htmlPages: "HTML pages",
+    framesetPages: "Frameset pages",
+    framesetTags: "Frameset tags in total",
+    suspiciousScripts: "Suspicious ActiveX scripts",
+    embeds: "OBJECT/EMBED/APPLET",
+    metaRefresh: "Meta refresh tags",
+    charsets: "Charset distribution",
+    entryPoints: "Possible entry pages",
+    noEntryPoints: "none obvious",
+    framesetSample: "Frameset pages (sample)",
+    titlesSample: "Titles (sample)",
+    externalTop: "External links (top 50)",
+    brokenSample: "Broken links (sample, max 200)",
+    colItem: "Item",
+    colValue: "Value",
+    colCharset: "Charset",
+    colPages: "Pages",
+    colPath: "Path",
+    colFrames: "Frames",
+    colTitle: "Title",
+    colLink: "Link",
+    colCount: "Count",
+    colFrom: "Page",
+    sortHint: "Click a column heading to sort.",
+    none: "none",
+    done: "✅ Done!"
+  },
+  fi: {
+    usage: "Käyttö: node analyze.mjs [valinnat] <srcDir> [outDir]",
+    seeHelp: "(ks. --help)",
+    optSrc: "Analysoitava manuaalihakemisto",
+    optOut: `Raporttihakemisto (oletus: ${DEFAULT_OUT})`,
+    optConfig: `Asetustiedosto (oletus: ${CONFIG_FILES.join(" tai ")} työhakemistossa)`,
+    optLang: langs => `Raportin kieli: ${langs} (oletus: ${DEFAULT_LANG})`,
+    optHelp: "Näytä tämä ohje",
+    helpFooter: "srcDir, analyzeOutDir ja lang voi antaa myös asetustiedostossa (ks. config.mjs).",
+    title: "Honda-manuaalin auditointi",
+    date: "Päiväys",
+    summary: "Yhteenveto",
+    totalFiles: "Tiedostoja yhteensä",
+    htmlPages: "HTML-sivuja",
+    framesetPages: "Frameset-sivuja",
+    framesetTags: "Frameset-tageja yhteensä",
+    suspiciousScripts: "ActiveX-epäilyttävät skriptit",
+    embeds: "OBJECT/EMBED/APPLET",
+    metaRefresh: "Meta refresh -tageja",
+    charsets: "Charset-jakauma",
+    entryPoints: "Mahdolliset aloitussivut",
+    noEntryPoints: "ei ilmeisiä",
+    framesetSample: "Frameset-sivut (näyte)",
+    titlesSample: "Otsikot (näyte)",
+    externalTop: "Ulkoiset linkit (Top 50)",
+    brokenSample: "Rikkinäiset linkit (näyte, max 200)",
+    colItem: "Kohde",
+    colValue: "Arvo",
+    colCharset: "Merkistö",
+    colPages: "Sivuja",
+    colPath: "Polku",
+    colFrames: "Kehykset",
+    colTitle: "Otsikko",
+    colLink: "Linkki",
+    colCount: "Määrä",
+    colFrom: "Sivu",
+    sortHint: "Lajittele napsauttamalla sarakeotsikkoa.",
+    none: "ei yhtään",
+    done: "✅ Valmis!"
+  }
+};
+
+function cliOptions(t) {
+  return [
+    { flag: "--src", key: "srcDir", arg: "dir", help: t.optSrc },
+    { flag: "--out", key: "analyzeOutDir", arg: "dir", help: t.optOut },
+    { flag: "--config", key: "config", arg: "file", help: t.optConfig },
+    { flag: "--lang", key: "lang", arg: "code", help: t.optLang(Object.keys(MESSAGES).join(", ")) },
+    { flag: "--help", short: "-h", key: "help", help: t.optHelp }
+  ];
+}
+
+function messagesFor(lang) {
+  if (!MESSAGES[lang]) throw new UsageError(`Unknown language "${lang}" (available: ${Object.keys(MESSAGES).join(", ")})`);
+  return MESSAGES[lang];
+}
+
 const suspiciousRe = /activex|hhctrl|classid|createobject|ActiveXObject|mshta/i;
 const eventAttrs = ["onload","onclick","onmouseover","onmouseout","onchange","onsubmit","onfocus","onblur","onkeydown","onkeyup","onkeypress"];
 
 async function main() {
-  const [,, srcArg, outArg="audit-out"] = process.argv;
+  const { values, positional } = parseArgs(process.argv.slice(2), cliOptions(MESSAGES[DEFAULT_LANG]));
+  // Help is printed before the config is read, in the --lang language or the default one
+  if (values.help) {
+    const t = messagesFor(values.lang ?? DEFAULT_LANG);
+    console.log(renderHelp({ usage: t.usage, options: cliOptions(t), footer: t.helpFooter }));
+    return;
+  }
+  const { settings } = await loadConfig(values.config);
+  const lang = values.lang ?? settings.lang ?? DEFAULT_LANG;
+  const t = messagesFor(lang);
+  const srcArg = values.srcDir ?? positional[0] ?? settings.srcDir;
+  const outArg = values.analyzeOutDir ?? positional[1] ?? settings.analyzeOutDir ?? DEFAULT_OUT;
   if (!srcArg) {
-    console.error("Käyttö: node analyze.mjs <srcDir> [outDir]");
+    console.error(`${t.usage}\n${t.seeHelp}`);
     process.exit(1);
   }
   const srcDir = path.resolve(srcArg);
@@ -216,53 +330,128 @@ async function main() {
   const jsonPath = path.join(outDir, "analysis-report.json");
   await fs.writeFile(jsonPath, JSON.stringify(metrics, null, 2), "utf8");
 
-  // Write Markdown (short)
-  const md = [
-    `# Honda-manuaalin auditointi`,
-    `Päiväys: ${metrics.scannedAt}`,
-    ``,
-    `## Yhteenveto`,
-    `- Tiedostoja yhteensä: **${metrics.totals.totalFiles}**`,
-    `- HTML-sivuja: **${metrics.html.count}**`,
-    `- Frameset-sivuja: **${metrics.html.framesetPages.length}** (frameset-tageja yhteensä: ${metrics.html.counts.frameset})`,
-    `- ActiveX-epäilyttävät skriptit: **${metrics.html.counts.scriptsSuspicious}**`,
-    `- OBJECT/EMBED/APPLET: object ${metrics.html.counts.object}, embed ${metrics.html.counts.embed}, applet ${metrics.html.counts.applet}`,
-    `- Meta refresh -tageja: ${metrics.html.counts.metaRefresh}`,
-    ``,
-    `## Charset-jakauma`,
-    "```json",
-    JSON.stringify(metrics.html.charsets, null, 2),
-    "```",
-    ``,
-    `## Mahdolliset aloitussivut`,
-    metrics.html.entryPointGuesses.length ? metrics.html.entryPointGuesses.map(x=>`- ${x}`).join("\n") : "_ei ilmeisiä_",
-    ``,
-    `## Frameset-sivut (näyte)`,
-    "```json",
-    JSON.stringify(metrics.html.framesetPages.slice(0,20), null, 2),
-    "```",
-    ``,
-    `## Otsikot (näyte)`,
-    "```json",
-    JSON.stringify(metrics.html.titlesSample, null, 2),
-    "```",
-    ``,
-    `## Ulkoiset linkit (Top 50)`,
-    "```json",
-    JSON.stringify(metrics.html.externalLinksTop, null, 2),
-    "```",
-    ``,
-    `## Rikkinäiset linkit (näyte, max 200)`,
-    "```json",
-    JSON.stringify(metrics.html.brokenLinksSample, null, 2),
-    "```",
-  ].join("\n");
+  // Write Markdown (short) and HTML
   const mdPath = path.join(outDir, "analysis-report.md");
-  await fs.writeFile(mdPath, md, "utf8");
+  await fs.writeFile(mdPath, renderMarkdownReport(metrics, t), "utf8");
+  const htmlPath = path.join(outDir, "analysis-report.html");
+  await fs.writeFile(htmlPath, renderHtmlReport(metrics, t, lang), "utf8");
 
-  console.log("✅ Valmis!");
+  console.log(t.done);
   console.log("JSON:", jsonPath);
   console.log("MD:  ", mdPath);
+  console.log("HTML:", htmlPath);
+}
+
+// Report sections shared by the Markdown and HTML reports: { title, columns, rows, empty? }
+function reportSections(metrics, t) {
+  const h = metrics.html;
+  return [
+    { title: t.summary, columns: [t.colItem, t.colValue], rows: [
+      [t.totalFiles, metrics.totals.totalFiles],
+      [t.htmlPages, h.count],
+      [t.framesetPages, h.framesetPages.length],
+      [t.framesetTags, h.counts.frameset],
+      [t.suspiciousScripts, h.counts.scriptsSuspicious],
+      [t.embeds, `object ${h.counts.object}, embed ${h.counts.embed}, applet ${h.counts.applet}`],
+      [t.metaRefresh, h.counts.metaRefresh]
+    ] },
+    { title: t.charsets, columns: [t.colCharset, t.colPages], rows: Object.entries(h.charsets) },
+    { title: t.entryPoints, columns: [t.colPath], rows: h.entryPointGuesses.map(x => [x]), empty: t.noEntryPoints },
+    { title: t.framesetSample, columns: [t.colPath, t.colFrames],
+      rows: h.framesetPages.slice(0, 20).map(f => [f.path, f.frames.map(fr => (fr.name ? `${fr.name}: ${fr.src}` : fr.src)).join(", ")]) },
+    { title: t.titlesSample, columns: [t.colPath, t.colTitle], rows: h.titlesSample.map(x => [x.path, x.title]) },
+    { title: t.externalTop, columns: [t.colLink, t.colCount], rows: h.externalLinksTop.map(x => [x.href, x.count]) },
+    { title: t.brokenSample, columns: [t.colFrom, t.colLink], rows: h.brokenLinksSample.map(x => [x.from, x.href]) }
+  ];
+}
+
+function mdCell(value) {
+  return String(value).replace(/\|/g, "\\|").replace(/\s+/g, " ");
+}
+
+function renderMarkdownReport(metrics, t) {
+  const out = [`# ${t.title}`, `${t.date}: ${metrics.scannedAt}`];
+  for (const sec of reportSections(metrics, t)) {
+    out.push("", `## ${sec.title}`);
+    if (!sec.rows.length) { out.push(`_${sec.empty ?? t.none}_`); continue; }
+    out.push(
+      `| ${sec.columns.map(mdCell).join(" | ")} |`,
+      `|${sec.columns.map(() => " --- |").join("")}`,
+      ...sec.rows.map(row => `| ${row.map(mdCell).join(" | ")} |`)
+    );
+  }
+  return out.join("\n") + "\n";
+}
+
+function escapeHtml(str) {
+  return String(str ?? "").replace(/[&<>"]/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;" }[c]));
+}
+
+// Self-contained page (inline CSS/JS); every table sorts by the clicked column
+function renderHtmlReport(metrics, t, lang) {
+  const sections = reportSections(metrics, t).map(sec => {
+    const body = sec.rows.length
+      ? `<table class="sortable">
+<thead><tr>${sec.columns.map(c => `<th><button type="button">${escapeHtml(c)}</button></th>`).join("")}</tr></thead>
+<tbody>
+${sec.rows.map(row => `<tr>${row.map(v => `<td${typeof v === "number" ? ' class="num"' : ""}>${escapeHtml(v)}</td>`).join("")}</tr>`).join("\n")}
+</tbody>
+</table>`
+      : `<p class="empty">${escapeHtml(sec.empty ?? t.none)}</p>`;
+    return `<section>\n<h2>${escapeHtml(sec.title)}</h2>\n${body}\n</section>`;
+  }).join("\n");
+
+  return `<!doctype html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(t.title)}</title>
+<style>
+  body { margin: 0 auto; max-width: 1100px; padding: 16px 20px 40px; color: #111; background: #fff; font: 14px/1.5 system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 17px; margin: 28px 0 8px; }
+  .meta, .hint, .empty { color: #5f6b76; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #dde3e8; padding: 4px 8px; text-align: left; vertical-align: top; overflow-wrap: anywhere; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  thead th { background: #f3f6f8; padding: 0; }
+  th button { all: unset; box-sizing: border-box; display: block; width: 100%; padding: 4px 8px; font-weight: 600; cursor: pointer; }
+  th button:focus-visible { outline: 2px solid #0b63ce; outline-offset: -2px; }
+  th button::after { content: " \\2195"; color: #9aa5ae; }
+  th[aria-sort=ascending] button::after { content: " \\25B2"; color: #111; }
+  th[aria-sort=descending] button::after { content: " \\25BC"; color: #111; }
+  tbody tr:nth-child(even) { background: #fafbfc; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t.title)}</h1>
+<p class="meta">${escapeHtml(t.date)}: ${escapeHtml(metrics.scannedAt)} · ${escapeHtml(metrics.srcDir)}</p>
+<p class="hint">${escapeHtml(t.sortHint)}</p>
+${sections}
+<script>
+  for (const table of document.querySelectorAll('table.sortable')) {
+    table.tHead.addEventListener('click', e => {
+      const th = e.target.closest('th');
+      if (!th) return;
+      const col = th.cellIndex;
+      const dir = th.getAttribute('aria-sort') === 'ascending' ? -1 : 1;
+      for (const h of th.parentNode.cells) h.removeAttribute('aria-sort');
+      th.setAttribute('aria-sort', dir === 1 ? 'ascending' : 'descending');
+      const tbody = table.tBodies[0];
+      const key = tr => tr.cells[col].textContent.trim();
+      const rows = [...tbody.rows];
+      const numeric = rows.every(tr => key(tr) !== '' && !isNaN(key(tr)));
+      rows.sort((a, b) => dir * (numeric
+        ? Number(key(a)) - Number(key(b))
+        : key(a).localeCompare(key(b), document.documentElement.lang, { numeric: true })));
+      tbody.append(...rows);
+    });
+  }
+</script>
+</body>
+</html>
+`;
 }
 
-main().catch(err => { console.error(err); process.exit(1); });
+main().catch(err => { console.error(err instanceof UsageError ? err.message : err); process.exit(1); });
@@ -1,14 +1,39 @@
 // build.mjs
 // Node 18+
 //
-// Usage: node build.mjs [srcDir=manual] [outDir=build]
+// Usage: node build.mjs [options] [srcDir=manual] [outDir=build]   (options: node build.mjs --help)
 //
 // Features:
 // - Copies assets, cleans legacy HTML (IE/ActiveX), merges 2-frame pages
-// - Flat nav only from en/html/, filters empty/meaningless <title>
+// - Nav only from en/html/, titled from en/info/contents_list.xml (SIE-code <title>s resolved)
+// - Collapsible nav tree: section -> subsection -> system -> component, leaves tagged with situation type
+// - Vehicle picker (year/model code or VIN, from model_list.xml) hides pages whose dgc does not apply
+// - SML/BRL title lists and SMT/BRT search trees rendered statically (no document.write)
+// - VML callout overlays (js/<SIE>_N.js) converted to inline, scalable SVG figures
+// - Callout / wiring labels indexed as "figure" text in the full-text index
+// - parent.Cts/Jmp links keep their anchors (checked against <a name>); misses in _link-report.json
+// - parent.Prt zoom links open the full-size figure in an in-page lightbox (ZOOM page as fallback)
+// - Circuit diagram sheets (SEA*AADnn) in a pan/zoom viewer with label search and sheet navigation (no VML toolbar)
+// - Wire colour labels (GRN/BLK, LT BLU) drawn with colour swatches; colour-code legend highlights a colour's labels
+// - DTC index (_dtc.json: code -> troubleshooting pages + mentions, with dgc) and DTC lookup box
+// - Torque specs from step text and figure callouts (_torque.json) with a filterable "Torque specs" view
+// - Special tools catalog (_tools.json) with a Tools view and a "Tools needed" box on each procedure
+// - WARNING/CAUTION/NOTICE/NOTE as styled callouts with a per-page safety summary and a Safety view (_safety.json)
+// - Maintenance schedules (_maintenance.json) with a planner view: due/overdue items by odometer and age, printable job sheet
+// - Connector/fuse/ground index (_connectors.json) from the fuse-to-components, connector and location pages; lookup view
+//   jumps to the index page, location photo and every circuit diagram sheet naming the identifier
+// - Structured page model (page-model.mjs) saved next to each page as <page>.json
+// - Print-ready copies of procedures (<page>.print.html: header with vehicle/title/SIE code, full-size figures,
+//   page breaks between steps), PDFs with --pdf (puppeteer); Print/PDF actions in the viewer
+// - Text/figure Viewer tables re-rendered from the page model as a responsive single-column layout
+// - Installable offline app: manifest + service worker (sw.js), section downloads in the Offline view
+// - Incremental builds: content-hash build cache (.cache/, per output directory) skips unchanged pages and outputs;
+//   --clean empties the output directory and rebuilds all
+// - Pages built on a worker_threads pool (--jobs N, default: CPU count); output is identical for any N
+// - Settings and stage selection from accord07.config.json/js (config.mjs) and named CLI options
 // - Duplicate detection (SimHash + Jaccard), UI can hide/dim duplicates
 // - Fast title search (150ms debounce + rAF chunking)
-// - OPTIONAL full-text search (no web worker): lazy-load _fulltext.json, chunked processing
+// - OPTIONAL full-text search: prefix-sharded inverted index in _search/, BM25 ranking with title boost
 // - Responsive UI with mobile sidebar; overlay dims content only; hamburger last in <body>
 // - Robust stacking (sidebar z=1000 > overlay z=900 > content z=0; hamburger z=1100)
 // - CSS fix so images don’t overlap tables
@@ -16,26 +41,67 @@
 
 import fs from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
+import crypto from "crypto";
+import os from "os";
+import { Worker, isMainThread, parentPort, workerData } from "worker_threads";
+import { fileURLToPath, pathToFileURL } from "url";
 import * as cheerio from "cheerio";
+import { parsePageModel, renderPageModel, cleanText as normalizeTitle, escapeHtml, figureLabelTexts } from "./page-model.mjs";
+import { CONFIG_FILES, UsageError, loadConfig, parseArgs, renderHelp } from "./config.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DEFAULT_SRC = "manual";
-const DEFAULT_OUT = "build";
+// Build stages (all run by default)
+const BUILD_STAGES = ["copy", "clean", "merge-frames", "dedupe", "fulltext", "index", "print"];
 
-// Duplicate thresholds
-const HAMMING_MAX = 3;
-const JACCARD_MIN = 0.98;
+// Defaults of the settings accord07.config.json/js and the command line can override (config.mjs)
+const DEFAULT_SETTINGS = {
+  srcDir: "manual",
+  outDir: "build",
+  hammingMax: 3,            // duplicate thresholds
+  jaccardMin: 0.98,
+  navRootPrefix: "en/html/", // nav scope
+  ftSnippetChars: 400,
+  excludeFromNav: [
+    /^_COM\//i,
+    /\/ESMBLANK\.HTML$/i,
+    /^HONDAESM\.HTML$/i
+  ],
+  stages: BUILD_STAGES,
+  jobs: null                // CPU count
+};
 
-// Nav scope
-const NAV_ROOT_PREFIX = "en/html/";
+// Effective settings (main() and page workers fill them in)
+const settings = { ...DEFAULT_SETTINGS };
+
+// SIE metadata (contents key -> title + base SIE, name lists for the nav tree)
+const INFO_DIR = "en/info";
+const CONTENTS_LIST_FILE = "contents_list.xml";
+const SCT_SC_NAME_FILE = "sct_sc_name_list.xml";
+const SYS_NAME_FILE = "sys_name_list.xml";
+const COMP_NAME_FILE = "comp_name_list.xml";
+const SITQ_NAME_FILE = "sitq_name_list.xml";
+const DGC_NAME_FILE = "dgc_name_list.xml";
+const MODEL_LIST_FILE = "model_list.xml";
+const UNIVERSAL_DGC = "00"; // applies to every vehicle
+const CONTENTS_KEY_RE = /^(\d{15})\.html?$/i;
+const SIE_CODE_RE = /^S[0-9A-Z]{24}$/;
 
 // Fulltext index settings
-const FT_INDEX_FILE = "_fulltext.json";
-const FT_SNIPPET_CHARS = 400;
-const FT_MAX_TOKENS_PER_PAGE = 4000;
+const FT_INDEX_DIR = "_search";
+const FT_MAX_TOKENS_PER_PAGE = 4000; // distinct body terms indexed per page
+const FT_SHARD_PREFIX = 2;           // term shards keyed by prefix...
+const FT_SHARD_PREFIX_MAX = 4;       // ...split deeper while a shard exceeds FT_SHARD_MAX_BYTES
+const FT_SHARD_MAX_BYTES = 256 * 1024;
+const FT_DOC_SHARD_SIZE = 250;       // snippets per d_<n>.json
+const FT_BM25_K1 = 1.2;
+const FT_BM25_B = 0.75;
+const FT_FIELD_BOOST = [1, 3, 0.8];  // body, title, figure labels
+
+// DTC lookup
+const DTC_INDEX_FILE = "_dtc.json";
+const DTC_CODE_RE = /\b[PBCU][0-3][0-9A-F]{3}\b/gi; // P0300, B1178, U0073, P16BB
 
 // File-type buckets
 const HTML_EXTS = new Set([".html", ".htm"]);
@@ -47,13 +113,6 @@ const BINARY_EXTS = new Set([
   ".pdf",".zip",".rar",".7z",".db",".exe",".inf"
 ]);
 
-// Exclusions
-const EXCLUDE_FROM_NAV = [
-  /^_COM\//i,
-  /\/ESMBLANK\.HTML$/i,
-  /^HONDAESM\.HTML$/i
-];
-
 const SUSPICIOUS_SCRIPT = /activex|hhctrl|classid|createobject|ActiveXObject|mshta/i;
 const EVENT_ATTR_RE = /^on[a-z]+$/i;
 
@@ -77,6 +136,7 @@ function toPosix(p){ return p.split(path.sep).join("/"); }
 function isHtml(p){ return HTML_EXTS.has(path.extname(p).toLowerCase()); }
 function isBinary(p){ return BINARY_EXTS.has(path.extname(p).toLowerCase()); }
 function isText(p){ return TEXT_EXTS.has(path.extname(p).toLowerCase()); }
+function modelPath(htmlPath){ return htmlPath.replace(/\.html?$/i, ".json"); }
 async function ensureDir(p){ await fs.mkdir(p, { recursive: true }); }
 
 async function* walk(dir) {
@@ -107,6 +167,12 @@ function cleanBasicHtml(html, { keepScripts=false } = {}) {
     }
   });
 
+  // Legacy pages keep #divBody hidden until their (removed) onload handler shows it
+  $("#divBody").each((_, el)=>{
+    const style = ($(el).attr("style") || "").replace(/display\s*:\s*none\s*;?/i, "").trim();
+    if (style) $(el).attr("style", style); else $(el).removeAttr("style");
+  });
+
   if ($("meta[charset]").length === 0) $("head").prepend('<meta charset="utf-8">');
   if ($("title").length === 0) $("head").append("<title></title>");
 
@@ -116,22 +182,151 @@ function cleanBasicHtml(html, { keepScripts=false } = {}) {
   return $;
 }
 
+// The "clean" stage; without it pages are processed as they are
+function loadPageHtml(html, opts) {
+  return stageEnabled("clean") ? cleanBasicHtml(html, opts) : cheerio.load(html, { decodeEntities:false });
+}
+
 // Strictly read <title>
 function headTitleStrict($) { return ($("title").first().text() || ""); }
 
-// Normalize titles
-function normalizeTitle(str) {
-  return (str || "")
-    .replace(/[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g, " ")
-    .replace(/[\u200B-\u200D\uFEFF\u2060\u00AD]/g, "")
-    .replace(/\s+/g, " ")
-    .trim();
-}
 function isMeaningfulTitle(str) {
   const t = normalizeTitle(str);
   return t.length > 0 && /[\p{L}\p{N}]/u.test(t);
 }
 
+// SIE codes: SEA5E|dgc(2)|sct(1)|sc(3)|sys(3)|comp(5)|sitq(2)|?|supp(3).
+// Match on the fields only, so ZOOM/_PR pages resolve to their parent entry.
+function isZeroCode(code) { return !code || /^0+$/.test(code); }
+function isSieCode(str) { return SIE_CODE_RE.test(str || ""); }
+function sieMatchKey(code) { return code.slice(5, 21) + code.slice(22); }
+
+function contentsKeyFromPath(relPath) {
+  if (!relPath.toLowerCase().startsWith(settings.navRootPrefix)) return null;
+  const m = path.posix.basename(relPath).match(CONTENTS_KEY_RE);
+  return m ? m[1] : null;
+}
+
+const SIE_FIELDS = ["dgc", "sct", "sc", "sys", "comp", "sitq", "supp"];
+
+function readSie($, el) {
+  const sie = {};
+  for (const f of SIE_FIELDS) sie[f] = $(el).children(f).first().text().trim();
+  return sie;
+}
+
+async function loadInfoXml(srcDir, file) {
+  try { return cheerio.load(await readUtf8(path.join(srcDir, INFO_DIR, file)), { xmlMode:true }); }
+  catch { return null; }
+}
+
+async function loadContentsList(srcDir) {
+  const byKey = new Map(); // key -> { key, title, sie }
+  const bySie = new Map(); // sieMatchKey -> entry
+  const $ = await loadInfoXml(srcDir, CONTENTS_LIST_FILE);
+  if (!$) return { byKey, bySie };
+
+  $("contents").each((_, el)=>{
+    const key = $(el).attr("key") || "";
+    if (!key) return;
+    const title = normalizeTitle($(el).attr("title"));
+    const base = $(el).children("base_sie").first();
+    const sie = base.length ? readSie($, base) : null;
+    const dgc = new Set(sie?.dgc ? [sie.dgc] : []);
+    $(el).children("multi_sie").each((_, m)=>{
+      const code = $(m).children("dgc").first().text().trim();
+      if (code) dgc.add(code);
+    });
+    const entry = { key, title, sie, dgc: [...dgc] };
+    byKey.set(key, entry);
+
+    const code = sie ? SIE_FIELDS.map(f => sie[f]).join("") : "";
+    if (code && !bySie.has(code)) bySie.set(code, entry);
+  });
+  return { byKey, bySie };
+}
+
+// Name lists for the section/system/component tree
+async function loadSieNames(srcDir) {
+  const names = { sct: new Map(), sc: new Map(), sys: new Map(), comp: new Map(), sitq: new Map(), dgc: new Map() };
+
+  const $s = await loadInfoXml(srcDir, SCT_SC_NAME_FILE);
+  $s?.("sct_name").each((_, el)=>{
+    const sct = $s(el).attr("code") || "";
+    names.sct.set(sct, $s(el).attr("name") || sct);
+    $s(el).children("sc_name").each((_, sc)=>{
+      const code = $s(sc).attr("code") || "";
+      names.sc.set(`${sct}/${code}`, $s(sc).attr("name") || code);
+    });
+  });
+
+  for (const [kind, file] of [["sys", SYS_NAME_FILE], ["comp", COMP_NAME_FILE], ["sitq", SITQ_NAME_FILE], ["dgc", DGC_NAME_FILE]]) {
+    const $n = await loadInfoXml(srcDir, file);
+    $n?.(`${kind}_name`).each((_, el)=>{
+      const code = $n(el).attr("code") || "";
+      if (!names[kind].has(code)) names[kind].set(code, $n(el).attr("name") || code);
+    });
+  }
+  return names;
+}
+
+// model_list.xml: start VIN -> model code/year + applicable dgc codes
+async function loadModelList(srcDir) {
+  const models = [];
+  const $ = await loadInfoXml(srcDir, MODEL_LIST_FILE);
+  $?.("model").each((_, el)=>{
+    const dgc = $(el).find("dgc_list > dgc").map((_, d)=>$(d).attr("code") || "").get().filter(Boolean);
+    models.push({
+      startVin: ($(el).attr("start_vin") || "").toUpperCase(),
+      code: $(el).attr("model_code") || "",
+      year: $(el).attr("model_year") || "",
+      dgc
+    });
+  });
+  return models;
+}
+
+// Compact form for the index page: models as [startVin, code, year, dgcListIdx],
+// plus the SMT/BRT search tree pages per "<code>_<year>"
+function buildVehicleData(models, allPaths) {
+  const dgcLists = [];
+  const listIdx = new Map();
+  const rows = models.map(m => {
+    const k = m.dgc.join(",");
+    if (!listIdx.has(k)) { listIdx.set(k, dgcLists.length); dgcLists.push(m.dgc); }
+    return [m.startVin, m.code, m.year, listIdx.get(k)];
+  });
+  const lists = {};
+  for (const rel of allPaths) {
+    if (!rel.toLowerCase().startsWith(settings.navRootPrefix)) continue;
+    const m = path.posix.basename(rel).match(MODEL_LIST_PAGE_RE);
+    if (!m || !m[1].toUpperCase().endsWith("T")) continue;
+    const k = `${m[2].toUpperCase()}_${m[3]}`;
+    (lists[k] ||= []).push([MODEL_LIST_MANUAL[m[1].slice(0, 2).toUpperCase()], rel]);
+  }
+  for (const arr of Object.values(lists)) arr.sort((a,b)=> b[1].localeCompare(a[1])); // SMT before BRT
+  return { universal: UNIVERSAL_DGC, models: rows, dgcLists, lists };
+}
+
+// contents_list.xml entry by contents key, else by the SIE code in <title>
+function resolveContentsEntry($, relPath, contents) {
+  const key = contentsKeyFromPath(relPath);
+  if (key && contents.byKey.has(key)) return contents.byKey.get(key);
+  const head = normalizeTitle(headTitleStrict($));
+  return isSieCode(head) ? (contents.bySie.get(sieMatchKey(head)) || null) : null;
+}
+
+// Human title: contents entry -> .top_title -> <title> (unless it is a bare SIE code)
+function resolvePageTitle($, entry) {
+  if (entry && isMeaningfulTitle(entry.title)) return entry.title;
+
+  const top = normalizeTitle($(".top_title").first().text());
+  if (isMeaningfulTitle(top)) return top;
+
+  const head = normalizeTitle(headTitleStrict($));
+  return isSieCode(head) ? "" : head;
+}
+
 // Display title to write back
 function displayTitle($, fallback="") {
   const raw = ($("title").first().text() || "").trim();
@@ -146,13 +341,14 @@ function extractBodyInnerHtml(doc$) {
 }
 
 function looksLikeFrameset($) { return $("frameset").length > 0 && $("frame").length > 0; }
-function isExcludedFromNav(relPath) { return EXCLUDE_FROM_NAV.some(rx => rx.test(relPath)); }
+function isExcludedFromNav(relPath) { return settings.excludeFromNav.some(rx => rx.test(relPath)); }
 
-function includeInFlatNav(relPath, strictTitle) {
+function includeInNav(relPath, strictTitle) {
   const p = relPath.toLowerCase();
   return (
-    p.startsWith(NAV_ROOT_PREFIX) &&
+    p.startsWith(settings.navRootPrefix) &&
     !/_pr[12]\.html?$/.test(p) &&
+    !/\/zoom[^/]*\.html?$/.test(p) && // figure zoom views repeat their parent page
     !isExcludedFromNav(relPath) &&
     isMeaningfulTitle(strictTitle)
   );
@@ -170,16 +366,104 @@ function* candidateTargets(id) {
   yield `${id}_PR2.html`;
 }
 
+// ------------- legacy link rewriting -------------
+// parent.Cts(key, anc) opened key.html#anc in the content frame and parent.Jmp(anc) set the
+// hash of the current page. 'i000' is the manual's "top of page" anchor and is never defined.
+const LINK_REPORT_FILE = "_link-report.json";
+const LEGACY_TOP_ANCHOR = "i000";
+const ANCHOR_NAME_RE = /<a\b[^>]*?\bname\s*=\s*["']?([^"'\s>]+)/gi;
+
+function createLinkContext(srcDir, allPaths) {
+  const ctx = { srcDir, allPaths, anchors: new Map() };
+  startPageLinks(ctx);
+  return ctx;
+}
+
+// Link results are collected per page, together with the source files it read (targets
+// checked for anchors, ZOOM pages, overlay scripts) so the build cache can track them
+function startPageLinks(ctx) {
+  ctx.deps = new Set();
+  ctx.unresolved = [];
+  ctx.counts = { cts: 0, jmp: 0, prt: 0, unresolved: 0 };
+}
+
+// <a name> anchors of a source page (cached)
+async function pageAnchors(ctx, rel) {
+  if (ctx.allPaths.has(rel)) ctx.deps.add(rel);
+  if (!ctx.anchors.has(rel)) {
+    const raw = isHtml(rel) && ctx.allPaths.has(rel) ? await readUtf8(path.join(ctx.srcDir, rel)) : "";
+    ctx.anchors.set(rel, new Set([...raw.matchAll(ANCHOR_NAME_RE)].map(m => m[1])));
+  }
+  return ctx.anchors.get(rel);
+}
+
+function existingTarget(ctx, id, fromRel) {
+  for (const cand of candidateTargets(id)) {
+    if (ctx.allPaths.has(resolveRelative(fromRel, cand))) return cand;
+  }
+  return null;
+}
+
+function reportUnresolvedLink(ctx, page, link, reason) {
+  ctx.counts.unresolved++;
+  ctx.unresolved.push({ page, link, reason });
+}
+
+// javascript:parent.Prt/Cts/Jmp -> static href; "#" (or the bare page) when unresolved
+async function resolveLegacyHref(ctx, js, fromRel) {
+  if (!/^javascript:/i.test(js)) return js;
+
+  let m = js.match(/parent\.Prt\(\s*'([^']+)'\s*(?:,\s*'?\d'?)?\s*\)/i);
+  if (m) {
+    const target = existingTarget(ctx, m[1], fromRel);
+    if (!target) { reportUnresolvedLink(ctx, fromRel, js, "missing-page"); return "#"; }
+    ctx.counts.prt++;
+    return target;
+  }
+
+  m = js.match(/parent\.Cts\(\s*'([^']+)'\s*(?:,\s*'([^']*)')?/i);
+  if (m) {
+    const target = existingTarget(ctx, m[1], fromRel);
+    if (!target) { reportUnresolvedLink(ctx, fromRel, js, "missing-page"); return "#"; }
+    ctx.counts.cts++;
+    const anc = m[2] || "";
+    if (!anc || anc === LEGACY_TOP_ANCHOR) return target;
+    if ((await pageAnchors(ctx, resolveRelative(fromRel, target))).has(anc)) return `${target}#${anc}`;
+    reportUnresolvedLink(ctx, fromRel, js, "missing-anchor");
+    return target;
+  }
+
+  m = js.match(/parent\.Jmp\(\s*'([^']*)'/i);
+  if (m) {
+    ctx.counts.jmp++;
+    if (m[1] === LEGACY_TOP_ANCHOR) return "#";
+    if ((await pageAnchors(ctx, fromRel)).has(m[1])) return `#${m[1]}`;
+    reportUnresolvedLink(ctx, fromRel, js, "missing-anchor");
+    return "#";
+  }
+
+  reportUnresolvedLink(ctx, fromRel, js, "unsupported");
+  return "#";
+}
+
+async function rewriteLegacyLinks($, rel, ctx) {
+  for (const el of $("a[href^='javascript:parent.']").toArray()) {
+    $(el).attr("href", await resolveLegacyHref(ctx, $(el).attr("href") || "", rel));
+  }
+}
+
 // Text normalization for compare/index
 function normalizeTextForCompare($) {
-  $("script, style, noscript").remove();
-  const txt = ($("body").text() || "")
+  $("script, style, noscript, svg, .esm-tools, .esm-safety").remove();
+  return normalizeText($("body").text() || "");
+}
+function normalizeText(str) {
+  return str
     .toLowerCase()
     .replace(/[\u0000-\u001F]+/g, " ")
     .replace(/[^\p{L}\p{N}\s]/gu, " ")
     .replace(/\s+/g, " ")
     .trim();
-  return txt;
 }
 function tokenize(text) { return text.split(" ").filter(w => w.length > 2); }
 
@@ -220,63 +504,212 @@ function jaccard(aSet, bSet) {
   return union === 0 ? 1 : inter / union;
 }
 
-// ------------- main -------------
-async function main() {
-  const srcDir = path.resolve(process.argv[2] || DEFAULT_SRC);
-  const outDir = path.resolve(process.argv[3] || DEFAULT_OUT);
-  await ensureDir(outDir);
+// ------------- build cache -------------
+// .cache/build-<outDir hash>.json next to the scripts keeps the content hash of every source
+// file and output, plus the record each HTML page produced (outputs, source files it read,
+// nav/index data). A page whose source, dependencies and outputs are unchanged is not
+// reprocessed, and an output is only rewritten when its content changes. Editing the build
+// scripts or the SIE metadata, or adding or removing source files, invalidates every page
+// record; --clean empties outDir and ignores the cache. The cache stays out of outDir, which is
+// deployed as it is.
+const BUILD_CACHE_DIR = path.join(__dirname, ".cache");
+const BUILD_CACHE_VERSION = 1;
 
-  const allPaths = new Set();
-  for await (const abs of walk(srcDir)) {
-    allPaths.add(toPosix(path.relative(srcDir, abs)));
+function buildCachePath(outDir) {
+  return path.join(BUILD_CACHE_DIR, `build-${sha1(outDir).slice(0, 12)}.json`);
+}
+
+function sha1(data) { return crypto.createHash("sha1").update(data).digest("hex"); }
+
+function emptyBuildCache() {
+  return { version: BUILD_CACHE_VERSION, key: "", inputs: {}, pages: {}, files: {} };
+}
+
+async function loadBuildCache(outDir) {
+  try {
+    const cache = JSON.parse(await readUtf8(buildCachePath(outDir)));
+    if (cache.version === BUILD_CACHE_VERSION) return cache;
+  } catch {}
+  return emptyBuildCache();
+}
+
+async function saveBuildCache(outDir, { key, inputs, pages, files }) {
+  const cache = {
+    version: BUILD_CACHE_VERSION,
+    key,
+    inputs: Object.fromEntries(inputs),
+    pages: Object.fromEntries(pages),
+    files: Object.fromEntries(files)
+  };
+  await ensureDir(BUILD_CACHE_DIR);
+  await fs.writeFile(buildCachePath(outDir), JSON.stringify(cache), "utf8");
+}
+
+// rel -> { size, mtime, hash }; files with the cached size and mtime keep their cached hash
+async function hashInputs(srcDir, allPaths, cached) {
+  const inputs = new Map();
+  for (const rel of [...allPaths].sort()) {
+    const abs = path.join(srcDir, rel);
+    const { size, mtimeMs: mtime } = await fs.stat(abs);
+    const prev = cached[rel];
+    const hash = prev && prev.size === size && prev.mtime === mtime ? prev.hash : sha1(await fs.readFile(abs));
+    inputs.set(rel, { size, mtime, hash });
   }
+  return inputs;
+}
 
-  // Copy non-HTML
-  for (const rel of allPaths) {
-    if (isHtml(rel)) continue;
-    const srcAbs = path.join(srcDir, rel);
-    const destAbs = path.join(outDir, rel);
-    await ensureDir(path.dirname(destAbs));
-    if (isBinary(rel)) await fs.writeFile(destAbs, await fs.readFile(srcAbs));
-    else if (isText(rel)) await fs.writeFile(destAbs, await readUtf8(srcAbs), "utf8");
-    else await fs.writeFile(destAbs, await fs.readFile(srcAbs));
+// What every page depends on: the build scripts, the settings pages use, the SIE metadata and
+// the source file list
+async function buildCacheKey(inputs) {
+  const h = crypto.createHash("sha1");
+  for (const file of ["build.mjs", "page-model.mjs"]) h.update(await fs.readFile(path.join(__dirname, file)));
+  h.update(JSON.stringify({
+    navRootPrefix: settings.navRootPrefix,
+    ftSnippetChars: settings.ftSnippetChars,
+    excludeFromNav: settings.excludeFromNav.map(String),
+    stages: settings.stages.filter(s => s === "clean" || s === "merge-frames" || s === "print")
+  }));
+  for (const [rel, { hash }] of inputs) h.update(`${rel} ${rel.startsWith(`${INFO_DIR}/`) ? hash : ""}\n`);
+  return h.digest("hex");
+}
+
+function createOutputs(outDir, cached) {
+  return { outDir, prev: new Map(Object.entries(cached)), files: new Map(), written: 0, unchanged: 0 };
+}
+
+// An output of the previous build that is still on disk as it was written
+async function outputIntact(out, rel) {
+  const prev = out.prev.get(rel);
+  if (!prev) return false;
+  try { return (await fs.stat(path.join(out.outDir, rel))).size === prev.size; }
+  catch { return false; }
+}
+
+function keepOutput(out, rel) {
+  out.files.set(rel, out.prev.get(rel));
+  out.unchanged++;
+}
+
+// Writes rel unless it already holds exactly this content
+async function writeOutput(out, rel, content) {
+  const buf = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+  const entry = { size: buf.length, hash: sha1(buf) };
+  out.files.set(rel, entry);
+  if (out.prev.get(rel)?.hash === entry.hash && await outputIntact(out, rel)) { out.unchanged++; return; }
+  const abs = path.join(out.outDir, rel);
+  await ensureDir(path.dirname(abs));
+  await fs.writeFile(abs, buf);
+  out.written++;
+}
+
+// --clean: nothing an earlier build wrote survives, whether or not the cache listed it
+async function emptyOutDir(outDir, srcDir) {
+  for (const dir of [srcDir, __dirname]) {
+    if (dir === outDir || dir.startsWith(outDir + path.sep)) throw new UsageError(`--clean would delete ${dir}; use another output directory`);
+  }
+  await fs.rm(outDir, { recursive: true, force: true });
+}
+
+// Deletes outputs of the previous build that this one no longer produces
+async function removeStaleOutputs(out) {
+  let removed = 0;
+  for (const rel of out.prev.keys()) {
+    if (out.files.has(rel)) continue;
+    await fs.rm(path.join(out.outDir, rel), { force: true });
+    removed++;
   }
+  return removed;
+}
 
-  const candidates = [];
-  const fulltext = []; // {p,t,w,s}
+// Stage that writes an output, for the outputs of the dedupe/fulltext/index/print stages
+function outputStage(rel) {
+  if (rel === "_dedupe-report.json") return "dedupe";
+  if (rel.startsWith(`${FT_INDEX_DIR}/`)) return "fulltext";
+  if (rel.endsWith(PRINT_SUFFIX) || /\.pdf$/i.test(rel)) return "print";
+  const index = ["index.html", DTC_INDEX_FILE, TORQUE_FILE, TOOLS_FILE, SAFETY_FILE, MAINTENANCE_FILE, CONNECTORS_FILE, MANIFEST_FILE, ICON_FILE, OFFLINE_FILE, SW_FILE];
+  return index.includes(rel) ? "index" : null;
+}
 
-  // Process HTML
-  for (const rel of [...allPaths].filter(isHtml)) {
-    const srcAbs = path.join(srcDir, rel);
-    const outAbs = path.join(outDir, rel);
-    await ensureDir(path.dirname(outAbs));
-
-    const raw = await readUtf8(srcAbs);
-    const $ = cheerio.load(raw, { decodeEntities:false });
-
-    if (looksLikeFrameset($)) {
-      const frames = [];
-      $("frame").each((_, el)=>{
-        const name = $(el).attr("name") || "";
-        const src = $(el).attr("src") || "";
-        if (src) frames.push({ name, src });
-      });
+// Outputs of skipped stages are left as the last build wrote them, like copies without the copy
+// stage; print pages only while their source page exists
+async function keepSkippedStageOutputs(out, htmlRels) {
+  const printOutputs = new Set(htmlRels.flatMap(rel => [printPath(rel), pdfPath(rel)]));
+  for (const rel of out.prev.keys()) {
+    const stage = outputStage(rel);
+    if (!stage || stageEnabled(stage) || out.files.has(rel)) continue;
+    if (stage === "print" && !printOutputs.has(rel)) continue;
+    if (await outputIntact(out, rel)) keepOutput(out, rel);
+  }
+}
 
-      if (frames.length === 2) {
-        const aRel = resolveRelative(rel, frames[0].src);
-        const bRel = resolveRelative(rel, frames[1].src);
-        const aHtml = isHtml(aRel) && allPaths.has(aRel) ? await readUtf8(path.join(srcDir, aRel)) : "";
-        const bHtml = isHtml(bRel) && allPaths.has(bRel) ? await readUtf8(path.join(srcDir, bRel)) : "";
+async function pageIsFresh(rec, rel, inputs, out) {
+  if (!rec || rec.hash !== inputs.get(rel).hash) return false;
+  for (const [dep, hash] of Object.entries(rec.deps)) if (inputs.get(dep)?.hash !== hash) return false;
+  for (const o of rec.outputs) if (!await outputIntact(out, o)) return false;
+  return true;
+}
+
+// ------------- pages -------------
+// Nav candidate + full-text data of a page that is listed in the nav
+function navRecord({ rel, entry, strictTitle, dispTitle, norm, toks, figs }) {
+  return {
+    key: entry?.key ?? null,
+    strictTitle,
+    dispTitle,
+    textLen: norm.length,
+    simhash: simhash64(toks).toString(16),
+    ft: fulltextDocData({ p: rel, title: dispTitle, norm, toks, figs })
+  };
+}
+
+// Processes one source HTML page and writes its outputs; the returned record is what
+// applyPageRecord() adds to the indexes, and what the build cache replays on unchanged reruns
+async function buildHtmlPage(rel, ctx) {
+  startPageLinks(ctx.links);
+  const rec = { hash: ctx.inputs.get(rel).hash, outputs: [], nav: null };
+  await renderHtmlPage(rel, ctx, rec);
+  const deps = {};
+  for (const dep of [...ctx.links.deps].sort()) if (dep !== rel) deps[dep] = ctx.inputs.get(dep).hash;
+  return { ...rec, deps, links: { counts: ctx.links.counts, unresolved: ctx.links.unresolved } };
+}
+
+async function renderHtmlPage(rel, { srcDir, allPaths, contents, models, names, links, overlayCache, out }, rec) {
+  const write = async (outRel, content) => { rec.outputs.push(outRel); await writeOutput(out, outRel, content); };
+  const raw = await readUtf8(path.join(srcDir, rel));
+  const $ = cheerio.load(raw, { decodeEntities:false });
+
+  if (looksLikeFrameset($)) {
+    const frames = [];
+    $("frame").each((_, el)=>{
+      const name = $(el).attr("name") || "";
+      const src = $(el).attr("src") || "";
+      if (src) frames.push({ name, src });
+    });
+
+    if (frames.length === 2 && stageEnabled("merge-frames")) {
+      const aRel = resolveRelative(rel, frames[0].src);
+      const bRel = resolveRelative(rel, frames[1].src);
+      const aHtml = isHtml(aRel) && allPaths.has(aRel) ? await readUtf8(path.join(srcDir, aRel)) : "";
+      const bHtml = isHtml(bRel) && allPaths.has(bRel) ? await readUtf8(path.join(srcDir, bRel)) : "";
+      for (const r of [aRel, bRel]) if (allPaths.has(r)) links.deps.add(r);
 
-        const $a = cleanBasicHtml(aHtml);
-        const $b = cleanBasicHtml(bHtml);
-        const left = extractBodyInnerHtml($a);
-        const right = extractBodyInnerHtml($b);
+      const $a = loadPageHtml(aHtml);
+      const $b = loadPageHtml(bHtml);
+      await rewriteLegacyLinks($a, aRel, links);
+      await rewriteLegacyLinks($b, bRel, links);
+      const figs = [
+        ...await inlineOverlayScripts($a, aRel, links, overlayCache),
+        ...await inlineOverlayScripts($b, bRel, links, overlayCache)
+      ];
+      const torque = [...pageTorqueSpecs($a), ...pageTorqueSpecs($b), ...figureTorqueSpecs(figs)];
+      const left = extractBodyInnerHtml($a);
+      const right = extractBodyInnerHtml($b);
 
-        const strictTitle = normalizeTitle(headTitleStrict($));
-        const dispTitle = displayTitle($, path.basename(rel));
+      const entry = resolveContentsEntry($, rel, contents);
+      const strictTitle = resolvePageTitle($, entry);
+      const dispTitle = strictTitle || displayTitle($, path.basename(rel));
 
-        const merged = `<!doctype html>
+      const merged = `<!doctype html>
 <html lang="en">
 <head>
 <meta charset="utf-8">
@@ -302,29 +735,29 @@ async function main() {
   </div>
 </body>
 </html>`;
-        await fs.writeFile(outAbs, merged, "utf8");
+      await write(rel, merged);
 
-        if (includeInFlatNav(rel, strictTitle)) {
-          const $$ = cheerio.load(merged, { decodeEntities:false });
-          const norm = normalizeTextForCompare($$);
-          const toks = tokenize(norm);
-          candidates.push({ path: rel, strictTitle, dispTitle, textLen: norm.length, simhash: simhash64(toks) });
-
-          const ftTokens = Array.from(new Set(toks)).slice(0, FT_MAX_TOKENS_PER_PAGE);
-          fulltext.push({ p: rel, t: dispTitle, w: ftTokens.join(" "), s: norm.slice(0, FT_SNIPPET_CHARS) });
-        }
-        continue;
+      if (includeInNav(rel, strictTitle)) {
+        const $$ = cheerio.load(merged, { decodeEntities:false });
+        const norm = normalizeTextForCompare($$);
+        const toks = tokenize(norm);
+        rec.nav = navRecord({ rel, entry, strictTitle, dispTitle, norm, toks, figs });
+        rec.nav.dtc = pageDtcCodes(dispTitle, norm, entry);
+        if (torque.length) rec.nav.torque = torque;
       }
+      return;
+    }
 
-      // Multi-frame fallback
-      const strictTitle = normalizeTitle(headTitleStrict($));
-      const dispTitle = displayTitle($, path.basename(rel));
-      const list = frames.map(f => {
-        const href = f.src || "";
-        const label = f.name || href || "frame";
-        return `<li><a href="${href}">${label}</a></li>`;
-      }).join("\n");
-      const fallback = `<!doctype html>
+    // Multi-frame fallback
+    const entry = resolveContentsEntry($, rel, contents);
+    const strictTitle = resolvePageTitle($, entry);
+    const dispTitle = strictTitle || displayTitle($, path.basename(rel));
+    const list = frames.map(f => {
+      const href = f.src || "";
+      const label = f.name || href || "frame";
+      return `<li><a href="${href}">${label}</a></li>`;
+    }).join("\n");
+    const fallback = `<!doctype html>
 <html lang="en"><head><meta charset="utf-8"><title>${dispTitle}</title>
 <meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1, user-scalable=no, viewport-fit=cover"></head>
 <body>
@@ -332,74 +765,324 @@ async function main() {
 <p>This page used frames. Choose a pane to open:</p>
 <ul>${list}</ul>
 </body></html>`;
-      await fs.writeFile(outAbs, fallback, "utf8");
+    await write(rel, fallback);
 
-      if (includeInFlatNav(rel, strictTitle)) {
-        const $$ = cheerio.load(fallback, { decodeEntities:false });
-        const norm = normalizeTextForCompare($$);
-        const toks = tokenize(norm);
-        candidates.push({ path: rel, strictTitle, dispTitle, textLen: norm.length, simhash: simhash64(toks) });
-        const ftTokens = Array.from(new Set(toks)).slice(0, FT_MAX_TOKENS_PER_PAGE);
-        fulltext.push({ p: rel, t: dispTitle, w: ftTokens.join(" "), s: norm.slice(0, FT_SNIPPET_CHARS) });
-      }
-      continue;
+    if (includeInNav(rel, strictTitle)) {
+      const $$ = cheerio.load(fallback, { decodeEntities:false });
+      const norm = normalizeTextForCompare($$);
+      const toks = tokenize(norm);
+      rec.nav = navRecord({ rel, entry, strictTitle, dispTitle, norm, toks });
     }
+    return;
+  }
 
-    // Normal HTML
-    const doc$ = cleanBasicHtml(raw, { keepScripts:true });
+  // Model/year title lists and search trees
+  const listMatch = path.posix.basename(rel).match(MODEL_LIST_PAGE_RE);
+  if (listMatch) {
+    const page = await renderModelListPage(rel, raw, listMatch, srcDir, allPaths, links.deps);
+    if (page) { await write(rel, page); return; }
+  }
 
-    // Convert javascript:parent.* links
-    doc$("a[href^='javascript:parent.']").each((_, el)=>{
-      const js = doc$(el).attr("href") || "";
-      let replaced = false;
+  // Normal HTML
+  const doc$ = loadPageHtml(raw, { keepScripts:true });
 
-      let m = js.match(/parent\.Prt\(\s*'([^']+)'\s*(?:,\s*'?\d'?)?\s*\)/i);
-      if (m) {
-        const id = m[1];
-        for (const cand of candidateTargets(id)) {
-          const candidateRel = resolveRelative(rel, cand);
-          if (allPaths.has(candidateRel)) { doc$(el).attr("href", cand); replaced = true; break; }
-        }
-      }
-      if (!replaced) {
-        m = js.match(/parent\.Cts\(\s*'([^']+)'/i);
-        if (m) {
-          const id = m[1];
-          for (const cand of candidateTargets(id)) {
-            const candidateRel = resolveRelative(rel, cand);
-            if (allPaths.has(candidateRel)) { doc$(el).attr("href", cand); replaced = true; break; }
-          }
-        }
-      }
-      if (!replaced) {
-        m = js.match(/parent\.Jmp\(\s*'([^']+)'\s*\)/i);
-        if (m) { doc$(el).attr("href", "#"); replaced = true; }
-      }
-      if (!replaced) doc$(el).attr("href", "#");
+  const tools = await pageTools(doc$, rel, links, overlayCache);
+  if (tools.length) {
+    doc$("head").append(`<style>${TOOLS_BOX_CSS}</style>`);
+    doc$("body").prepend(renderToolsBox(tools, rel));
+  }
+  const callouts = normalizeSafetyCallouts(doc$);
+  if (callouts.length) {
+    doc$("head").append(`<style>${SAFETY_CSS}</style>`);
+    doc$("body").prepend(renderSafetySummary(callouts));
+  }
+
+  // Zoom links -> lightbox figures, then convert javascript:parent.* links
+  const zoomFigs = await attachFigureLightbox(doc$, rel, links, overlayCache);
+  await rewriteLegacyLinks(doc$, rel, links);
+  const schedule = pageMaintenance(doc$, rel);
+
+  const figs = [...await inlineOverlayScripts(doc$, rel, links, overlayCache), ...zoomFigs];
+  const wiring = wiringSheets(rel, allPaths);
+  if (wiring && attachWiringViewer(doc$, rel, wiring)) rec.wiring = wiring.circuit;
+
+  const entry = resolveContentsEntry(doc$, rel, contents);
+  const strictTitle = resolvePageTitle(doc$, entry);
+  const dispTitle = strictTitle || displayTitle(doc$, path.basename(rel));
+
+  // Structured model, then the page re-laid out from it
+  const model = parsePageModel(doc$, { path: rel, title: dispTitle, figures: figs });
+  await write(modelPath(rel), JSON.stringify(model));
+  rec.model = true;
+  if (applyResponsiveLayout(doc$, model)) rec.relaid = true;
+
+  // Print-ready copy of procedures
+  const srcTitle = normalizeTitle(headTitleStrict(doc$));
+  if (stageEnabled("print") && includeInNav(rel, strictTitle) && modelHasSteps(model)) {
+    const { section, system, component } = sieLabels(entry?.sie, names);
+    await write(printPath(rel), renderPrintPage(doc$, model, {
+      title: dispTitle,
+      code: isSieCode(srcTitle) ? srcTitle : "",
+      vehicle: printVehicle(entry?.dgc ?? [], models, names),
+      where: [section, system, component].filter(Boolean).join(" › ")
+    }));
+    rec.print = true;
+  }
+
+  // Write cleaned page
+  doc$("title").first().text(dispTitle);
+  await write(rel, doc$.html() ?? "");
+  rec.assets = pageAssetRefs(doc$, rel);
+
+  // Add to nav + fulltext
+  if (includeInNav(rel, strictTitle)) {
+    const torque = [...pageTorqueSpecs(doc$), ...figureTorqueSpecs(figs)];
+    const norm = normalizeTextForCompare(doc$);
+    const toks = tokenize(norm);
+    rec.nav = navRecord({ rel, entry, strictTitle, dispTitle, norm, toks, figs });
+    rec.nav.dtc = pageDtcCodes(dispTitle, norm, entry);
+    if (torque.length) rec.nav.torque = torque;
+    if (tools.length) rec.nav.tools = tools;
+    if (callouts.length) rec.nav.safety = callouts;
+    if (schedule) rec.nav.maintenance = schedule;
+    const connectors = wiring ? sheetRefs(figs) : CONNECTOR_SITQ.has(entry?.sie?.sitq) ? lookupPageRefs(model, figs, dispTitle) : [];
+    if (connectors.length) rec.nav.connectors = connectors;
+  }
+}
+
+// Adds a page record (fresh or replayed from the build cache) to the build state
+function applyPageRecord(st, rel, rec) {
+  for (const k of Object.keys(st.linkCounts)) st.linkCounts[k] += rec.links.counts[k];
+  st.unresolved.push(...rec.links.unresolved);
+  if (rec.model) st.pageModels++;
+  if (rec.relaid) st.relaidPages++;
+  if (rec.wiring) st.wiringCircuits.set(rec.wiring, (st.wiringCircuits.get(rec.wiring) ?? 0) + 1);
+  if (rec.assets) st.pageAssets.set(rel, rec.assets);
+  if (rec.print) st.printPages.push(rel);
+
+  const nav = rec.nav;
+  if (!nav) return;
+  st.candidates.push({
+    path: rel, key: nav.key, strictTitle: nav.strictTitle, dispTitle: nav.dispTitle,
+    textLen: nav.textLen, simhash: BigInt(`0x${nav.simhash}`), terms: nav.ft.terms[0]
+  });
+  addFulltextDoc(st.fulltext, nav.ft);
+  if (nav.dtc) st.dtcPages.set(rel, nav.dtc);
+  if (nav.torque) st.torquePages.set(rel, nav.torque);
+  if (nav.tools) st.toolPages.set(rel, nav.tools);
+  if (nav.safety) st.safetyPages.set(rel, nav.safety);
+  if (nav.maintenance) st.maintenancePages.set(rel, { key: nav.key, ...nav.maintenance });
+  if (nav.connectors) st.connectorPages.set(rel, nav.connectors);
+}
+
+// Distinct body terms of a nav candidate (for the Jaccard check)
+function candidateTerms(c) {
+  return new Set(ftParseTerms(c.terms).map(([t]) => t));
+}
+
+// ------------- page workers -------------
+// Pages are built on a pool of worker threads (in-process with --jobs 1). Each worker has its
+// own link/overlay caches and reports, per page, the record plus the hashes of the outputs it
+// wrote; main() folds them in source order, so the result does not depend on --jobs.
+function defaultJobs() {
+  return os.availableParallelism?.() ?? os.cpus().length;
+}
+
+function createPageBuilder({ srcDir, outDir, allPaths, contents, models, names, inputs, prevFiles, settings: pageSettings }) {
+  Object.assign(settings, pageSettings);
+  const paths = new Set(allPaths);
+  return {
+    srcDir, allPaths: paths, contents, models, names, inputs,
+    out: createOutputs(outDir, prevFiles),
+    links: createLinkContext(srcDir, paths),
+    overlayCache: new Map() // js rel -> parsed overlay figures
+  };
+}
+
+async function buildPageResult(ctx, rel) {
+  const { written, unchanged } = ctx.out;
+  const rec = await buildHtmlPage(rel, ctx);
+  const files = rec.outputs.map(o => [o, ctx.out.files.get(o)]);
+  for (const o of rec.outputs) ctx.out.files.delete(o);
+  return { rec, files, written: ctx.out.written - written, unchanged: ctx.out.unchanged - unchanged };
+}
+
+function pageBuildError(rel, cause) {
+  return new Error(`Building ${rel} failed: ${cause.message}`, { cause });
+}
+
+// rel -> { rec, files, written, unchanged } for every page in rels; the first page that fails
+// rejects with its error and stops the other workers
+async function buildPages(rels, init, jobs) {
+  const results = new Map();
+  if (jobs <= 1 || rels.length < 2) {
+    const ctx = createPageBuilder(init);
+    for (const rel of rels) {
+      try { results.set(rel, await buildPageResult(ctx, rel)); }
+      catch (err) { throw pageBuildError(rel, err); }
+    }
+    return results;
+  }
+
+  const queue = [...rels];
+  const workers = [];
+  const runWorker = () => new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: init });
+    workers.push(worker);
+    const next = () => worker.postMessage(queue.length ? queue.shift() : null);
+    worker.on("message", ({ rel, result, error }) => {
+      if (error) reject(pageBuildError(rel, Object.assign(new Error(error.message), { stack: error.stack })));
+      else { results.set(rel, result); next(); }
     });
+    worker.on("error", reject);
+    worker.on("exit", code => (code ? reject(new Error(`Page worker exited with code ${code}`)) : resolve()));
+    next();
+  });
+  try {
+    await Promise.all(Array.from({ length: Math.min(jobs, rels.length) }, runWorker));
+  } catch (err) {
+    await Promise.all(workers.map(w => w.terminate()));
+    throw err;
+  }
+  return results;
+}
+
+// Worker thread: builds the pages main() posts until it gets null
+function pageWorker(init) {
+  const ctx = createPageBuilder(init);
+  parentPort.on("message", async rel => {
+    if (rel === null) { parentPort.close(); return; }
+    try {
+      parentPort.postMessage({ rel, result: await buildPageResult(ctx, rel) });
+    } catch (err) {
+      parentPort.postMessage({ rel, error: { message: err.message, stack: err.stack } });
+    }
+  });
+}
 
-    const strictTitle = normalizeTitle(headTitleStrict(doc$));
-    const dispTitle = displayTitle(doc$, path.basename(rel));
+// ------------- command line -------------
+const CLI_USAGE = "Usage: node build.mjs [options] [srcDir] [outDir]";
+const CLI_OPTIONS = [
+  { flag: "--src", key: "srcDir", arg: "dir", help: `Source manual directory (default: ${DEFAULT_SETTINGS.srcDir})` },
+  { flag: "--out", key: "outDir", arg: "dir", help: `Output directory (default: ${DEFAULT_SETTINGS.outDir})` },
+  { flag: "--config", key: "config", arg: "file", help: `Config file (default: ${CONFIG_FILES.join(" or ")} in the working directory)` },
+  { flag: "--stages", key: "stages", arg: "list", help: `Comma-separated stages to run (default: ${BUILD_STAGES.join(",")})` },
+  { flag: "--skip", key: "skip", arg: "list", type: "list", help: "Comma-separated stages to leave out" },
+  { flag: "--hamming-max", key: "hammingMax", arg: "n", help: `Max SimHash distance of duplicate pages (default: ${DEFAULT_SETTINGS.hammingMax})` },
+  { flag: "--jaccard-min", key: "jaccardMin", arg: "x", help: `Min token-set similarity of duplicate pages (default: ${DEFAULT_SETTINGS.jaccardMin})` },
+  { flag: "--nav-root", key: "navRootPrefix", arg: "prefix", help: `Only pages under this path are listed in the nav (default: ${DEFAULT_SETTINGS.navRootPrefix})` },
+  { flag: "--snippet-chars", key: "ftSnippetChars", arg: "n", help: `Full-text snippet length (default: ${DEFAULT_SETTINGS.ftSnippetChars})` },
+  { flag: "--exclude", key: "excludeFromNav", arg: "regex", repeat: true, help: "Keep matching paths out of the nav (repeatable; replaces the default list)" },
+  { flag: "--jobs", short: "-j", key: "jobs", arg: "n", help: "Page worker threads (default: CPU count)" },
+  { flag: "--clean", key: "clean", help: "Empty the output directory, ignore the build cache and rebuild everything" },
+  { flag: "--pdf", key: "pdf", help: "Render the print pages to PDF (needs puppeteer)" },
+  { flag: "--help", short: "-h", key: "help", help: "Show this help" }
+];
+const CLI_FOOTER = [
+  "Stages: copy (non-HTML assets), clean (legacy HTML cleanup), merge-frames (2-frame pages),",
+  "dedupe (duplicate detection), fulltext (_search index), index (index.html, data files, offline app),",
+  "print (<page>.print.html print-ready copies of procedures; PDFs with --pdf).",
+  `Settings are read from ${CONFIG_FILES.join(" / ")} first; see config.mjs. Options override them.`
+].join("\n");
 
-    // Write cleaned page
-    doc$("title").first().text(dispTitle);
-    await fs.writeFile(outAbs, doc$.html() ?? "", "utf8");
+function stageEnabled(stage) { return settings.stages.includes(stage); }
 
-    // Add to nav + fulltext
-    const include = includeInFlatNav(rel, strictTitle);
-    if (include) {
-      const norm = normalizeTextForCompare(doc$);
-      const toks = tokenize(norm);
-      candidates.push({ path: rel, strictTitle, dispTitle, textLen: norm.length, simhash: simhash64(toks) });
+// ------------- main -------------
+async function main() {
+  const { values, positional } = parseArgs(process.argv.slice(2), CLI_OPTIONS);
+  if (values.help) { console.log(renderHelp({ usage: CLI_USAGE, options: CLI_OPTIONS, footer: CLI_FOOTER })); return; }
+  const { config: configFile, clean, pdf, skip = [], help, ...overrides } = values;
+  if (positional.length > 2) throw new UsageError(`Unexpected argument ${positional[2]} (see --help)`);
+  const [srcArg, outArg] = positional;
+  const config = await loadConfig(configFile);
+  Object.assign(settings, config.settings, srcArg ? { srcDir: srcArg } : {}, outArg ? { outDir: outArg } : {}, overrides);
+
+  for (const stage of [...settings.stages, ...skip]) {
+    if (!BUILD_STAGES.includes(stage)) throw new UsageError(`Unknown stage "${stage}" (stages: ${BUILD_STAGES.join(", ")})`);
+  }
+  settings.stages = BUILD_STAGES.filter(s => settings.stages.includes(s) && !skip.includes(s));
+  const jobs = settings.jobs ?? defaultJobs();
+  if (jobs < 1) throw new UsageError("jobs must be at least 1");
+
+  const srcDir = path.resolve(settings.srcDir);
+  const outDir = path.resolve(settings.outDir);
+  if (clean) await emptyOutDir(outDir, srcDir);
+  await ensureDir(outDir);
+  if (config.file) console.log(`⚙️  Config: ${config.file}`);
+
+  const contents = await loadContentsList(srcDir);
+  const sieNames = await loadSieNames(srcDir);
+  const models = await loadModelList(srcDir);
+
+  const allPaths = new Set();
+  for await (const abs of walk(srcDir)) {
+    allPaths.add(toPosix(path.relative(srcDir, abs)));
+  }
 
-      const ftTokens = Array.from(new Set(toks)).slice(0, FT_MAX_TOKENS_PER_PAGE);
-      fulltext.push({ p: rel, t: dispTitle, w: ftTokens.join(" "), s: norm.slice(0, FT_SNIPPET_CHARS) });
+  // Build cache: source hashes, page records from the last run, output hashes
+  const cache = clean ? emptyBuildCache() : await loadBuildCache(outDir);
+  const inputs = await hashInputs(srcDir, allPaths, cache.inputs);
+  const key = await buildCacheKey(inputs);
+  const cachedPages = cache.key === key ? cache.pages : {};
+  const out = createOutputs(outDir, cache.files);
+
+  // Copy non-HTML (without the copy stage, copies from earlier builds are left as they are)
+  let copied = 0;
+  for (const rel of allPaths) {
+    if (isHtml(rel)) continue;
+    const unchanged = cache.inputs[rel]?.hash === inputs.get(rel).hash || !stageEnabled("copy");
+    if (unchanged && await outputIntact(out, rel)) { keepOutput(out, rel); continue; }
+    if (!stageEnabled("copy")) continue;
+    const srcAbs = path.join(srcDir, rel);
+    if (isBinary(rel)) await writeOutput(out, rel, await fs.readFile(srcAbs));
+    else if (isText(rel)) await writeOutput(out, rel, await readUtf8(srcAbs));
+    else await writeOutput(out, rel, await fs.readFile(srcAbs));
+    copied++;
+  }
+
+  const st = {
+    candidates: [],
+    fulltext: createFulltextIndex(),
+    dtcPages: new Map(), // rel -> { title, mentions, dgc }
+    torquePages: new Map(), // rel -> [[N·m, kgf, lbf, context, ref]]
+    toolPages: new Map(), // rel -> [{ no, name, img, alt, altOf?, listed }]
+    safetyPages: new Map(), // rel -> [{ kind, id, items }]
+    maintenancePages: new Map(), // rel -> { key, title, unit, dist, years, sections }
+    connectorPages: new Map(), // rel -> [{ k, id, box?, d }] (lookup pages) or [{ k, id, boxes?, f }] (diagram sheets)
+    pageAssets: new Map(), // rel -> images the page loads
+    printPages: [], // pages with a print-ready copy
+    linkCounts: { cts: 0, jmp: 0, prt: 0, unresolved: 0 },
+    unresolved: [],
+    pageModels: 0,
+    relaidPages: 0,
+    wiringCircuits: new Map() // circuit -> diagram sheets in the viewer
+  };
+  // Process HTML: pages whose source, dependencies and outputs are unchanged are replayed from
+  // the cache, the rest are built on the worker pool; records are applied in source order
+  const htmlRels = [...allPaths].filter(isHtml);
+  const todo = [];
+  for (const rel of htmlRels) if (!await pageIsFresh(cachedPages[rel], rel, inputs, out)) todo.push(rel);
+  const built = await buildPages(todo, { srcDir, outDir, allPaths: [...allPaths], contents, models, names: sieNames, inputs, prevFiles: cache.files, settings }, jobs);
+
+  const pages = new Map();
+  for (const rel of htmlRels) {
+    const result = built.get(rel);
+    const rec = result ? result.rec : cachedPages[rel];
+    if (result) {
+      for (const [o, entry] of result.files) out.files.set(o, entry);
+      out.written += result.written;
+      out.unchanged += result.unchanged;
+    } else {
+      for (const o of rec.outputs) keepOutput(out, o);
     }
+    pages.set(rel, rec);
+    applyPageRecord(st, rel, rec);
   }
+  await keepSkippedStageOutputs(out, htmlRels);
 
   // Deduplicate by strict title
   const byTitle = new Map();
-  for (const c of candidates) {
+  for (const c of st.candidates) {
     if (!byTitle.has(c.strictTitle)) byTitle.set(c.strictTitle, []);
     byTitle.get(c.strictTitle).push(c);
   }
@@ -411,81 +1094,2294 @@ async function main() {
     const title = normalizeTitle(titleRaw);
     if (!isMeaningfulTitle(title)) continue;
 
-    if (arr.length === 1) {
-      navItems.push({ title, path: arr[0].path, dup: false });
+    if (arr.length === 1 || !stageEnabled("dedupe")) {
+      for (const c of arr) navItems.push({ title, path: c.path, key: c.key, dup: false });
       continue;
     }
 
-    arr.sort((a,b)=> b.textLen - a.textLen);
-    const canonical = arr[0];
-    const keep = [canonical];
-    const dupes = [];
+    arr.sort((a,b)=> b.textLen - a.textLen);
+    const canonical = arr[0];
+    const keep = [canonical];
+    const dupes = [];
+
+    for (let i=1; i<arr.length; i++) {
+      const cand = arr[i];
+      let isDup = false;
+
+      const ham = Number(hamming64(canonical.simhash, cand.simhash));
+      if (ham <= settings.hammingMax) {
+        isDup = true;
+      } else {
+        const jac = jaccard(candidateTerms(canonical), candidateTerms(cand));
+        if (jac >= settings.jaccardMin) isDup = true;
+      }
+
+      if (isDup) dupes.push(cand);
+      else keep.push(cand);
+    }
+
+    for (const k of keep) navItems.push({ title, path: k.path, key: k.key, dup: false });
+    for (const d of dupes) navItems.push({ title, path: d.path, key: d.key, dup: true });
+
+    if (dupes.length) {
+      dedupeReport.push({
+        title,
+        kept: keep.map(k=>k.path),
+        duplicates: dupes.map(d=>d.path),
+        reason: `HAMMING<=${settings.hammingMax} or JACCARD>=${settings.jaccardMin}`
+      });
+    }
+  }
+
+  navItems.sort((a,b)=> a.title.localeCompare(b.title, undefined, { sensitivity:"base" }));
+
+  if (stageEnabled("dedupe")) {
+    await writeOutput(out, "_dedupe-report.json", JSON.stringify({
+      thresholds: { HAMMING_MAX: settings.hammingMax, JACCARD_MIN: settings.jaccardMin },
+      groups: dedupeReport
+    }, null, 2));
+  }
+
+  await writeOutput(out, LINK_REPORT_FILE,
+    JSON.stringify({ rewritten: st.linkCounts, unresolved: st.unresolved }, null, 2));
+
+  // Write fulltext index
+  const ftStats = stageEnabled("fulltext") ? await writeFulltextIndex(out, st.fulltext) : null;
+
+  // PDFs of the print pages (kept while their print page is unchanged, rendered with --pdf)
+  const pdfs = stageEnabled("print") ? await writePrintPdfs(out, st.printPages, pdf) : null;
+
+  const filteredNavItems = navItems.filter(it => isMeaningfulTitle(it.title));
+  for (const it of filteredNavItems) {
+    if (!out.files.has(printPath(it.path))) continue;
+    it.print = true;
+    if (out.files.has(pdfPath(it.path))) it.pdf = true;
+  }
+
+  // Viewer: index.html, its data files and the offline app
+  let viewer = null;
+  if (stageEnabled("index")) {
+    const navTree = buildNavTree(filteredNavItems, contents, sieNames);
+
+    const dtcIndex = buildDtcIndex(filteredNavItems, st.dtcPages, sieNames);
+    await writeOutput(out, DTC_INDEX_FILE, JSON.stringify(dtcIndex));
+
+    const torqueIndex = buildTorqueIndex(filteredNavItems, st.torquePages, contents, sieNames);
+    await writeOutput(out, TORQUE_FILE, JSON.stringify(torqueIndex));
+
+    const toolsCatalog = buildToolsCatalog(filteredNavItems, st.toolPages, contents);
+    await writeOutput(out, TOOLS_FILE, JSON.stringify(toolsCatalog));
+
+    const safetyIndex = buildSafetyIndex(filteredNavItems, st.safetyPages, contents, sieNames);
+    await writeOutput(out, SAFETY_FILE, JSON.stringify(safetyIndex));
+
+    const maintenanceIndex = buildMaintenanceIndex(st.maintenancePages, contents);
+    await writeOutput(out, MAINTENANCE_FILE, JSON.stringify(maintenanceIndex));
+
+    const connectorIndex = buildConnectorIndex(filteredNavItems, st.connectorPages, contents, sieNames);
+    await writeOutput(out, CONNECTORS_FILE, JSON.stringify(connectorIndex));
+
+    await writeIndex(out, filteredNavItems, navTree, buildVehicleData(models, allPaths));
+    const app = await writeOfflineApp(out, filteredNavItems, contents, sieNames, st.pageAssets);
+    viewer = { dtcIndex, torqueIndex, toolsCatalog, safetyIndex, maintenanceIndex, connectorIndex, app };
+  }
+
+  const stale = await removeStaleOutputs(out);
+  await saveBuildCache(outDir, { key, inputs, pages, files: out.files });
+
+  const htmlCount = pages.size;
+  const copyCount = allPaths.size - htmlCount;
+  console.log(`✅ Done. ${viewer ? `Open: ${path.join(outDir, "index.html")}` : `Output: ${outDir}`} (stages: ${settings.stages.join(", ")})`);
+  console.log(`♻️  Build cache: ${todo.length}/${htmlCount} pages processed on ${Math.min(jobs, Math.max(todo.length, 1))} job(s) (${htmlCount - todo.length} unchanged, skipped), ${copied}/${copyCount} files copied; ${out.written} outputs written, ${out.unchanged} unchanged, ${stale} stale removed${clean ? " (--clean)" : ""}`);
+  if (viewer) console.log(`📦 Offline app: ${path.join(outDir, SW_FILE)} (build ${viewer.app.version}, ${viewer.app.precache} precached files, ${viewer.app.sections} downloadable sections)`);
+  if (ftStats) console.log(`🔎 Full-text index: ${path.join(outDir, FT_INDEX_DIR)} (${ftStats.docs} pages, ${ftStats.terms} terms, ${ftStats.shards} shards)`);
+  console.log(`🧱 Page models: ${st.pageModels} (<page>.json next to each page), ${st.relaidPages} re-laid out responsively`);
+  console.log(`🔌 Wiring diagrams: ${[...st.wiringCircuits.values()].reduce((a, b) => a + b, 0)} sheets of ${st.wiringCircuits.size} circuits in the diagram viewer`);
+  if (pdfs) console.log(`🖨️  Print pages: ${st.printPages.length} procedures (<page>${PRINT_SUFFIX}), ${pdfs.rendered + pdfs.kept} PDFs (${pdfs.rendered} rendered)${pdfs.failed.length ? `; ${pdfs.failed.length} failed, first: ${pdfs.failed[0]}` : ""}${pdfs.error ? `; no PDFs rendered: ${pdfs.error}` : ""}`);
+  if (pdfs?.hint) console.log(`   To install the browser: ${pdfs.hint}`);
+  if (stageEnabled("dedupe")) console.log(`ℹ️  Dedupe report: ${path.join(outDir, "_dedupe-report.json")}`);
+  if (viewer) {
+    console.log(`🚨 DTC index: ${path.join(outDir, DTC_INDEX_FILE)} (${Object.keys(viewer.dtcIndex.codes).length} codes)`);
+    console.log(`🔩 Torque specs: ${path.join(outDir, TORQUE_FILE)} (${viewer.torqueIndex.specs.length} specs on ${viewer.torqueIndex.pages.length} pages)`);
+    console.log(`🧰 Special tools: ${path.join(outDir, TOOLS_FILE)} (${viewer.toolsCatalog.tools.length} tools)`);
+    console.log(`⚠️  Safety notes: ${path.join(outDir, SAFETY_FILE)} (${viewer.safetyIndex.notes.length} notes)`);
+    console.log(`🛠️  Maintenance schedules: ${path.join(outDir, MAINTENANCE_FILE)} (${viewer.maintenanceIndex.schedules.length} schedules, ${viewer.maintenanceIndex.schedules.reduce((n, sch) => n + sch.points.length, 0)} service points)`);
+    console.log(`🔦 Connectors and fuses: ${path.join(outDir, CONNECTORS_FILE)} (${viewer.connectorIndex.ids.length} identifiers, ${viewer.connectorIndex.ids.filter(e => e.sheets.length).length} linked to circuit diagrams)`);
+  }
+  console.log(`🔗 Link report: ${path.join(outDir, LINK_REPORT_FILE)} (${st.linkCounts.unresolved} unresolved)`);
+}
+
+// ------------- model/year list pages -------------
+// SML_/BRL_<code>_<year>: SieTitleItem() title lists; SMT_/BRT_: SearchTreeItem() trees over them.
+const MODEL_LIST_PAGE_RE = /^(SML|SMT|BRL|BRT)_([A-Z0-9]+)_(\d{4})\.html?$/i;
+const MODEL_LIST_MANUAL = { SM: "Shop Manual", BR: "Body Repair Manual" };
+const JS_ARG_RE = /"((?:[^"\\]|\\.)*)"|(-?\d+)/g;
+
+function unescapeJsString(str) {
+  return str.replace(/\\(.)/g, (_, c) => ({ n:"\n", t:"\t", r:"" }[c] ?? c));
+}
+
+function parseJsArgs(argStr) {
+  return [...argStr.matchAll(JS_ARG_RE)].map(m => m[1] !== undefined ? unescapeJsString(m[1]) : Number(m[2]));
+}
+
+function* jsCalls(raw, names) {
+  const re = new RegExp(`\\b(${names.join("|")})\\(((?:\\s*(?:"(?:[^"\\\\]|\\\\.)*"|-?\\d+)\\s*,?)*)\\)`, "g");
+  for (const m of raw.matchAll(re)) yield { name: m[1], args: parseJsArgs(m[2]) };
+}
+
+// Same slicing as SieListFunc.js SetSieCode()
+function splitSieCode(code) {
+  return { sct: code.slice(7, 8), sc: code.slice(8, 11), sys: code.slice(11, 14), comp: code.slice(14, 19), sitq: code.slice(19, 21), supp: code.slice(22, 25) };
+}
+
+function parseSieTitleItems(raw) {
+  const items = [];
+  for (const { name, args } of jsCalls(raw, ["SieTitleItem", "SieDTCTitleItem"])) {
+    const [sieKey, key, symbol, title, subTitle, dgc, scSys, mifList = "", dtcList = ""] = args.map(String);
+    const mif = mifList.split(",");
+    const sie = [{ ...splitSieCode(sieKey), dgc }];
+    for (let i = 0; mif.length >= 2 && i < mif.length; i += 2) sie.push({ ...splitSieCode(mif[i]), dgc: mif[i + 1] || "" });
+    const dtc = name === "SieDTCTitleItem" ? dtcList.split(",").map(d => d.trim().toUpperCase()).filter(Boolean) : [];
+    items.push({ sieKey, key, symbol, title, subTitle, dgc, scSys, sie, dtc });
+  }
+  return items;
+}
+
+function parseSearchTreeItems(raw) {
+  return [...jsCalls(raw, ["SearchTreeItem"])].map(({ args }) => {
+    const [level, sitq, sct, sc, sys, comp, supp, name] = args;
+    return { level: Number(level), sitq: String(sitq), sct: String(sct), sc: String(sc), sys: String(sys), comp: String(comp), supp: String(supp), name: String(name) };
+  });
+}
+
+// Ports of SieListFunc.js CreateConditionInfo()/IsMatched*(): "|" separates alternative
+// conditions, "," ORs values, "!" negates, "?" is a one-character wildcard (sitq only).
+function buildListConditions({ supp, sct, sc, sys, comp, sitq }) {
+  const fields = { supp: supp.toUpperCase(), sct, sc, sys, comp, sitq };
+  const split = Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, v.split("|").map(alt => alt.split(","))]));
+  const count = Math.max(...Object.values(split).map(a => a.length));
+  return Array.from({ length: count }, (_, i) =>
+    Object.fromEntries(Object.entries(split).map(([k, alts]) => [k, i < alts.length ? alts[i] : null]))
+  );
+}
+
+function isMatchedCode(list, val) {
+  if (!list) return true;
+  let ok = true;
+  for (const c of list) {
+    if (!c) continue;
+    if (c[0] === "!") return c.slice(1) !== val;
+    if (c === val) return true;
+    ok = false;
+  }
+  return ok;
+}
+
+function isMatchedSitq(list, val) {
+  if (!list) return true;
+  let ok = true;
+  for (const c of list) {
+    if (!c) continue;
+    const neg = c[0] === "!";
+    const pat = neg ? c.slice(1) : c;
+    let j = 0;
+    while (j < pat.length && (pat[j] === "?" || pat[j] === val[j])) j++;
+    if (j === pat.length) return !neg;
+    ok = neg;
+  }
+  return ok;
+}
+
+function listItemMatches(item, conditions) {
+  if (item.title.toLowerCase() === "na") return false;
+  return conditions.some(cd => item.sie.some(k =>
+    isMatchedCode(cd.sct, k.sct) && isMatchedCode(cd.sc, k.sc) && isMatchedCode(cd.sys, k.sys) &&
+    isMatchedCode(cd.comp, k.comp) && isMatchedSitq(cd.sitq, k.sitq) && isMatchedCode(cd.supp, k.supp)
+  ));
+}
+
+function renderListRows(items, rel, allPaths) {
+  return items.map(it => {
+    const target = `${it.key}.html`;
+    const suffix = [it.scSys, it.dgc].filter(Boolean).map(x => `<span class="sfx">(${escapeHtml(x)})</span>`).join("");
+    const text = escapeHtml(it.title) + suffix + (it.subTitle ? `<div class="sub">${escapeHtml(it.subTitle)}</div>` : "");
+    const link = allPaths.has(resolveRelative(rel, target)) ? `<a href="${target}">${text}</a>` : text;
+    const icon = it.symbol ? `<img src="../img/${escapeHtml(it.symbol)}.PNG" alt="">` : "";
+    return `<tr><td class="sym">${icon}</td><td>${link}</td></tr>`;
+  }).join("\n");
+}
+
+function renderSearchTree(nodes, items, rel, allPaths) {
+  // Nest by level, then list at each node only the titles none of its children claim
+  const root = { children: [] };
+  const stack = [root];
+  for (const n of nodes) {
+    const node = { ...n, children: [], matched: items.filter(it => listItemMatches(it, buildListConditions(n))) };
+    while (stack.length > n.level + 1) stack.pop();
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  }
+  const render = (node) => {
+    const claimed = new Set(node.children.flatMap(c => c.matched));
+    const own = node.matched.filter(it => !claimed.has(it));
+    const kids = node.children.map(render).filter(Boolean).join("\n");
+    if (!kids && !own.length) return "";
+    const rows = own.length ? `<table class="titles">\n${renderListRows(own, rel, allPaths)}\n</table>` : "";
+    return `<details><summary>${escapeHtml(node.name)} <span class="n">${node.matched.length}</span></summary>\n${kids}\n${rows}\n</details>`;
+  };
+  return root.children.map(render).filter(Boolean).join("\n");
+}
+
+async function renderModelListPage(rel, raw, m, srcDir, allPaths, deps) {
+  const family = m[1].toUpperCase();
+  const code = m[2].toUpperCase();
+  const year = m[3];
+  const manual = MODEL_LIST_MANUAL[family.slice(0, 2)];
+  const listFile = `${family.slice(0, 2)}L_${code}_${year}.html`;
+  const treeFile = `${family.slice(0, 2)}T_${code}_${year}.html`;
+  const isTree = family.endsWith("T");
+
+  let body;
+  if (isTree) {
+    const nodes = parseSearchTreeItems(raw);
+    const listRel = resolveRelative(rel, listFile);
+    if (!nodes.length || !allPaths.has(listRel)) return null;
+    deps.add(listRel);
+    const items = parseSieTitleItems(await readUtf8(path.join(srcDir, listRel)));
+    body = `<p class="switch"><a href="${listFile}">All titles</a></p>\n${renderSearchTree(nodes, items, rel, allPaths)}`;
+  } else {
+    const items = parseSieTitleItems(raw).filter(it => it.title.toLowerCase() !== "na");
+    if (!items.length) return null;
+    const tree = allPaths.has(resolveRelative(rel, treeFile)) ? `<p class="switch"><a href="${treeFile}">Browse by system</a></p>` : "";
+    body = `${tree}\n<table class="titles">\n${renderListRows(items, rel, allPaths)}\n</table>`;
+  }
+
+  const title = `${manual} – ${code} ${year}`;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1, user-scalable=no, viewport-fit=cover">
+<style>
+  body { margin:0; padding:12px 16px; background:#fff; color:#111; font: 14px/1.5 system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; }
+  h1 { font-size:18px; margin:0 0 8px; }
+  table.titles { border-collapse: collapse; width:100%; margin:4px 0 8px; }
+  table.titles td { border-bottom:1px solid #eceff1; padding:3px 6px; vertical-align: top; }
+  td.sym { width:30px; }
+  td.sym img { display:block; max-width:24px; height:auto; }
+  .sfx { color:#555; margin-left:4px; }
+  .sub { color:#555; font-size:12px; }
+  details { margin-left:12px; }
+  summary { cursor:pointer; padding:2px 0; }
+  summary .n { color:#777; font-size:12px; }
+  a { color: #0b63ce; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`;
+}
+
+// ------------- VML callout overlays -------------
+// en/js/<SIE>_N.js scripts document.write() a v:group with the PNG, absolutely positioned
+// <p> labels (pt font sizes) and v:line/v:textpath dimension texts, all in image pixels.
+const OVERLAY_SCRIPT_RE = /(?:^|\/)js\/[^/]+_\d+\.js$/i;
+const JS_WRITE_RE = /\bwrite\("((?:[^"\\]|\\.)*)"\)/g;
+const PT_TO_PX = 4 / 3;
+const LABEL_LINE_HEIGHT = 1.15;
+
+function styleProps(style) {
+  const out = {};
+  for (const decl of (style || "").split(";")) {
+    const i = decl.indexOf(":");
+    if (i > 0) out[decl.slice(0, i).trim().toLowerCase()] = decl.slice(i + 1).trim();
+  }
+  return out;
+}
+
+function cssPx(value) {
+  const m = String(value || "").match(/^(-?[\d.]+)\s*(px|pt)?$/i);
+  if (!m) return 0;
+  return parseFloat(m[1]) * (m[2]?.toLowerCase() === "pt" ? PT_TO_PX : 1);
+}
+
+// <p> content -> lines of runs { text, bold, href, shift }
+function overlayLabelLines($, p) {
+  const lines = [[]];
+  const visit = (node, fmt) => {
+    if (node.type === "text") {
+      const text = node.data.replace(/\s+/g, " ");
+      if (text.trim()) lines[lines.length - 1].push({ text, ...fmt });
+      return;
+    }
+    if (node.type !== "tag") return;
+    const name = node.name.toLowerCase();
+    if (name === "br") { lines.push([]); return; }
+    const next = { ...fmt };
+    if (name === "b") next.bold = true;
+    if (name === "sup" || name === "sub") next.shift = name;
+    if (name === "a") next.href = $(node).attr("href") || "";
+    for (const c of node.children || []) visit(c, next);
+  };
+  for (const c of p.children || []) visit(c, {});
+  for (const line of lines) {
+    if (line.length) { line[0].text = line[0].text.trimStart(); line[line.length - 1].text = line[line.length - 1].text.trimEnd(); }
+  }
+  while (lines.length && !lines[lines.length - 1].length) lines.pop();
+  return lines;
+}
+
+function parseOverlayScript(js) {
+  const html = [...js.matchAll(JS_WRITE_RE)].map(m => unescapeJsString(m[1])).join("");
+  if (!html) return [];
+  const $ = cheerio.load(html, null, false);
+  const figures = [];
+  $("v\\:group").each((_, g)=>{
+    const gs = styleProps($(g).attr("style"));
+    const [cw, ch] = ($(g).attr("coordsize") || "").split(",").map(Number);
+    const fig = { width: cssPx(gs.width) || cw || 0, height: cssPx(gs.height) || ch || 0, img: null, labels: [], paths: [] };
+
+    const img = $(g).find("img").first();
+    if (img.length) {
+      const is = styleProps(img.attr("style"));
+      fig.img = { src: img.attr("src") || "", x: cssPx(is.left), y: cssPx(is.top), width: cssPx(is.width) || fig.width, height: cssPx(is.height) || fig.height };
+    }
+
+    $(g).find("p").each((_, p)=>{
+      const ps = styleProps($(p).attr("style"));
+      const lines = overlayLabelLines($, p);
+      if (!lines.length) return;
+      fig.labels.push({ x: cssPx(ps.left), y: cssPx(ps.top), size: cssPx(ps["font-size"]) || 12, lines });
+    });
+
+    $(g).find("v\\:line").each((_, l)=>{
+      const tp = $(l).find("v\\:textpath").first();
+      const text = tp.attr("string") || "";
+      if (!text.trim()) return;
+      const [x1, y1] = ($(l).attr("from") || "0,0").split(",").map(Number);
+      const [x2, y2] = ($(l).attr("to") || "0,0").split(",").map(Number);
+      fig.paths.push({ x1, y1, x2, y2, text, size: cssPx(styleProps(tp.attr("style"))["font-size"]) || 12 });
+    });
+
+    if (fig.width && fig.height) figures.push(fig);
+  });
+  return figures;
+}
+
+// Parsed figures of an overlay script (cached across pages, recorded as a page dependency)
+async function loadOverlay(links, cache, jsRel) {
+  links.deps.add(jsRel);
+  if (!cache.has(jsRel)) cache.set(jsRel, parseOverlayScript(await readUtf8(path.join(links.srcDir, jsRel))));
+  return cache.get(jsRel);
+}
+
+function renderOverlayRuns(line, hrefFor) {
+  return line.map(run => {
+    const attrs = [
+      run.bold ? ' font-weight="bold"' : "",
+      run.shift ? ` baseline-shift="${run.shift === "sup" ? "super" : "sub"}" font-size="70%"` : ""
+    ].join("");
+    const tspan = `<tspan${attrs}>${escapeHtml(run.text)}</tspan>`;
+    const href = run.href ? hrefFor(run.href) : "";
+    return href && href !== "#" ? `<a href="${escapeHtml(href)}">${tspan}</a>` : tspan;
+  }).join("");
+}
+
+// One figure -> <svg> with the image and its labels in image pixel coordinates,
+// so callouts scale with the picture.
+function renderOverlayFigure(fig, id, hrefFor = (h) => h) {
+  const r = (n) => Math.round(n * 10) / 10;
+  const out = [`<svg class="esm-fig" id="${id}" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${fig.width} ${fig.height}" width="${fig.width}" height="${fig.height}" overflow="visible" font-family="Arial, Helvetica, sans-serif">`];
+  if (fig.img) {
+    out.push(`<image href="${escapeHtml(fig.img.src)}" x="${fig.img.x}" y="${fig.img.y}" width="${fig.img.width}" height="${fig.img.height}" preserveAspectRatio="none"/>`);
+  }
+  for (const lbl of fig.labels) {
+    const lh = r(lbl.size * LABEL_LINE_HEIGHT);
+    let dy = 0;
+    const tspans = [];
+    lbl.lines.forEach((line, i) => {
+      if (i > 0) dy += lh;
+      if (!line.length) return;
+      const pos = tspans.length ? `x="${r(lbl.x)}" dy="${r(dy)}"` : `x="${r(lbl.x)}" y="${r(lbl.y + lbl.size + dy)}"`;
+      tspans.push(`<tspan ${pos}>${renderOverlayRuns(line, hrefFor)}</tspan>`);
+      dy = 0;
+    });
+    out.push(`<text class="lbl" font-size="${r(lbl.size)}">${tspans.join("")}</text>`);
+  }
+  fig.paths.forEach((p, i) => {
+    const pid = `${id}-tp${i}`;
+    out.push(`<path id="${pid}" d="M${p.x1},${p.y1} L${p.x2},${p.y2}" fill="none" stroke="none"/>`);
+    out.push(`<text class="lbl dim" font-size="${r(p.size)}"><textPath href="#${pid}" startOffset="50%" text-anchor="middle">${escapeHtml(p.text)}</textPath></text>`);
+  });
+  out.push(`</svg>`);
+  return out.join("\n");
+}
+
+// Label links resolve relative to the page that shows the figures; returns href -> page href
+async function resolveOverlayHrefs(links, figs, rel) {
+  const hrefs = new Map();
+  for (const f of figs) for (const l of f.labels) for (const line of l.lines) for (const run of line) {
+    if (run.href && !hrefs.has(run.href)) hrefs.set(run.href, await resolveLegacyHref(links, run.href, rel));
+  }
+  return href => hrefs.get(href) ?? href;
+}
+
+// Replace overlay <script src> tags in a page with the rendered SVG figures;
+// returns [{ id, fig }] so their labels can be indexed.
+async function inlineOverlayScripts($, rel, links, cache) {
+  const inlined = [];
+  const scripts = $("script[src]").filter((_, el)=> OVERLAY_SCRIPT_RE.test($(el).attr("src") || ""));
+  for (const el of scripts.toArray()) {
+    const jsRel = resolveRelative(rel, $(el).attr("src"));
+    if (!links.allPaths.has(jsRel)) continue;
+    const figs = await loadOverlay(links, cache, jsRel);
+    if (!figs.length) continue;
+
+    const resolve = await resolveOverlayHrefs(links, figs, rel);
+    const idBase = path.posix.basename(jsRel, ".js");
+    figs.forEach((fig, i) => inlined.push({ id: `${idBase}-${i}`, fig, script: jsRel }));
+    $(el).replaceWith(figs.map((f, i) => renderOverlayFigure(f, `${idBase}-${i}`, resolve)).join("\n"));
+  }
+  return inlined;
+}
+
+// Distinct label strings of [{ id, fig }]
+function figureLabels(figs) {
+  return [...new Set(figs.flatMap(({ fig }) => figureLabelTexts(fig)))];
+}
+
+// ------------- figure lightbox -------------
+// parent.Prt('ZOOM<key>','<n>') opened a ZOOM page with figure n at full size. Instead, the
+// figure (full-size PNG + callouts) is embedded as a <template> and shown in a lightbox;
+// the link keeps the ZOOM page as href for when scripts are off or no figure resolves.
+const PRT_ARGS_RE = /parent\.Prt\(\s*'([^']+)'\s*(?:,\s*'?(\d+)'?)?/i;
+const THUMBNAIL_RE = /(?:^|\/)tn\/([^/]+)\.png$/i;
+
+// Overlay script rel for a Prt link: thumbnail tn/X.png -> js/X_1.js, else the
+// script shown as figure n on the ZOOM page.
+async function zoomOverlayScript($, a, rel, links) {
+  const tn = $(a).find("img[src]").toArray().map(img => resolveRelative(rel, $(img).attr("src"))).find(src => THUMBNAIL_RE.test(src));
+  if (tn) {
+    const jsRel = path.posix.join(path.posix.dirname(path.posix.dirname(tn)), "js", `${tn.match(THUMBNAIL_RE)[1]}_1.js`);
+    if (links.allPaths.has(jsRel)) return jsRel;
+  }
+
+  const m = ($(a).attr("href") || "").match(PRT_ARGS_RE);
+  const target = m && existingTarget(links, m[1], rel);
+  if (!target) return null;
+  const zoomRel = resolveRelative(rel, target);
+  links.deps.add(zoomRel);
+  const raw = await readUtf8(path.join(links.srcDir, zoomRel));
+  const n = Number(m[2] || 1);
+  // Multi-figure ZOOM pages wrap each script in span#imgId<n>; single ones have just the script
+  const fig = raw.match(new RegExp(`id="imgId${n}"[\\s\\S]*?<script src="([^"]+)"`, "i")) ||
+    (n === 1 && !/id="imgId\d/i.test(raw) ? raw.match(/<script src="([^"]+_\d+\.js)"/i) : null);
+  if (!fig || !OVERLAY_SCRIPT_RE.test(fig[1])) return null;
+  const jsRel = resolveRelative(zoomRel, fig[1]);
+  return links.allPaths.has(jsRel) ? jsRel : null;
+}
+
+// Mark Prt links that resolve to a figure with data-zoom and embed the figures; returns
+// [{ id, fig }] (id = template id). Must run before rewriteLegacyLinks() replaces the hrefs.
+async function attachFigureLightbox($, rel, links, cache) {
+  const templates = new Map(); // js rel -> template id
+  const embedded = [];
+  for (const a of $("a[href^='javascript:parent.Prt']").toArray()) {
+    const jsRel = await zoomOverlayScript($, a, rel, links);
+    if (!jsRel) continue;
+    if (!templates.has(jsRel)) {
+      const figs = await loadOverlay(links, cache, jsRel);
+      if (!figs.length) continue;
+      const resolve = await resolveOverlayHrefs(links, figs, rel);
+      const id = `zoom-${path.posix.basename(jsRel, ".js")}`;
+      const svg = figs.map((f, i) => renderOverlayFigure(f, `${id}-${i}`, resolve)).join("\n");
+      $("body").append(`<template class="esm-zoom" id="${id}">${svg}</template>`);
+      templates.set(jsRel, id);
+      for (const fig of figs) embedded.push({ id, fig, script: jsRel });
+    }
+    $(a).attr("data-zoom", templates.get(jsRel));
+  }
+  if (templates.size) {
+    $("head").append(`<style>${LIGHTBOX_CSS}</style>`);
+    $("body").append(`<script>${LIGHTBOX_JS}</script>`);
+  }
+  return embedded;
+}
+
+const LIGHTBOX_CSS = `
+.esm-lb { position: fixed; inset: 0; z-index: 1000; display: flex; flex-direction: column; background: rgba(14,16,20,.94); color: #f4f6fb; font: 13px/1.4 system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; }
+.esm-lb[hidden] { display: none; }
+.esm-lb-bar { display: flex; align-items: center; gap: 6px; padding: 6px 8px; }
+.esm-lb-bar .sp { flex: 1; }
+.esm-lb-bar button, .esm-lb-bar a { min-width: 32px; padding: 4px 8px; border: 1px solid #3a4050; border-radius: 6px; background: #1d2230; color: inherit; font: inherit; text-decoration: none; cursor: pointer; }
+.esm-lb-bar button:disabled { opacity: .4; cursor: default; }
+.esm-lb-stage { position: relative; flex: 1; overflow: hidden; touch-action: none; cursor: grab; }
+.esm-lb-stage.drag { cursor: grabbing; }
+.esm-lb-canvas { position: absolute; left: 0; top: 0; transform-origin: 0 0; background: #fff; }
+.esm-lb-canvas svg { display: block; max-width: none !important; }
+a[data-zoom] { cursor: zoom-in; }
+`;
+
+// Plain scripts (pages are opened directly as well as inside the viewer). The lightbox and the
+// wiring diagram viewer each inline panZoom(): the canvas is translated and scaled inside the
+// stage, panned with one pointer and pinch-zoomed with two. With { smooth: true } the calls
+// given smooth animate through the canvas's smooth class; onChange(scale) follows the zoom.
+const PAN_ZOOM_JS = `
+  function panZoom(stage, canvas, opts) {
+    opts = opts || {};
+    var scale = 1, tx = 0, ty = 0;
+    var pointers = {}, pinch = null, drag = null;
+
+    function apply(smooth) {
+      if (opts.smooth) canvas.classList.toggle('smooth', !!smooth);
+      canvas.style.transform = 'translate(' + tx + 'px,' + ty + 'px) scale(' + scale + ')';
+      if (opts.onChange) opts.onChange(scale);
+    }
+    function fit(smooth) {
+      var w = canvas.offsetWidth || 1, h = canvas.offsetHeight || 1;
+      var sw = stage.clientWidth, sh = stage.clientHeight;
+      scale = Math.min(sw / w, sh / h, 4);
+      tx = (sw - w * scale) / 2; ty = Math.max(0, (sh - h * scale) / 2);
+      apply(smooth);
+    }
+    function zoomAt(factor, px, py, smooth) {
+      var next = Math.max(0.1, Math.min(12, scale * factor));
+      tx = px - (px - tx) * next / scale; ty = py - (py - ty) * next / scale;
+      scale = next;
+      apply(smooth);
+    }
+    // Puts canvas point (x, y) at the centre of the stage at scale s
+    function centerOn(x, y, s, smooth) {
+      scale = s;
+      tx = stage.clientWidth / 2 - x * scale; ty = stage.clientHeight / 2 - y * scale;
+      apply(smooth);
+    }
+
+    stage.addEventListener('wheel', function (e) {
+      e.preventDefault();
+      var r = stage.getBoundingClientRect();
+      zoomAt(e.deltaY < 0 ? 1.15 : 1 / 1.15, e.clientX - r.left, e.clientY - r.top);
+    }, { passive: false });
+
+    function pinchState() {
+      var p = Object.keys(pointers).map(function (k) { return pointers[k]; });
+      var r = stage.getBoundingClientRect();
+      return {
+        dist: Math.hypot(p[0].x - p[1].x, p[0].y - p[1].y) || 1,
+        x: (p[0].x + p[1].x) / 2 - r.left, y: (p[0].y + p[1].y) / 2 - r.top
+      };
+    }
+    stage.addEventListener('pointerdown', function (e) {
+      if (e.target.closest('a')) return;
+      stage.setPointerCapture(e.pointerId);
+      pointers[e.pointerId] = { x: e.clientX, y: e.clientY };
+      var n = Object.keys(pointers).length;
+      if (n === 2) { pinch = pinchState(); drag = null; }
+      else if (n === 1) { drag = { x: e.clientX - tx, y: e.clientY - ty }; stage.classList.add('drag'); }
+    });
+    stage.addEventListener('pointermove', function (e) {
+      if (!pointers[e.pointerId]) return;
+      pointers[e.pointerId] = { x: e.clientX, y: e.clientY };
+      if (pinch && Object.keys(pointers).length === 2) {
+        var now = pinchState();
+        tx += now.x - pinch.x; ty += now.y - pinch.y;
+        zoomAt(now.dist / pinch.dist, now.x, now.y);
+        pinch = now;
+      } else if (drag) {
+        tx = e.clientX - drag.x; ty = e.clientY - drag.y;
+        apply();
+      }
+    });
+    function release(e) {
+      delete pointers[e.pointerId];
+      pinch = null;
+      var rest = Object.keys(pointers);
+      drag = rest.length === 1 ? { x: pointers[rest[0]].x - tx, y: pointers[rest[0]].y - ty } : null;
+      if (!drag) stage.classList.remove('drag');
+    }
+    stage.addEventListener('pointerup', release);
+    stage.addEventListener('pointercancel', release);
+
+    return { fit: fit, zoomAt: zoomAt, centerOn: centerOn, scale: function () { return scale; } };
+  }
+`;
+
+const LIGHTBOX_JS = `
+(function () {
+${PAN_ZOOM_JS}
+  var links = Array.prototype.slice.call(document.querySelectorAll('a[data-zoom]'));
+  var ids = [];
+  links.forEach(function (a) { if (ids.indexOf(a.dataset.zoom) < 0) ids.push(a.dataset.zoom); });
+  if (!ids.length) return;
+
+  var box = document.createElement('div');
+  box.className = 'esm-lb';
+  box.hidden = true;
+  box.innerHTML =
+    '<div class="esm-lb-bar">' +
+    '<button type="button" data-act="prev" title="Previous figure">&#8592;</button>' +
+    '<span class="pos"></span>' +
+    '<button type="button" data-act="next" title="Next figure">&#8594;</button>' +
+    '<span class="sp"></span>' +
+    '<button type="button" data-act="out" title="Zoom out">&#8722;</button>' +
+    '<button type="button" data-act="fit" title="Fit">Fit</button>' +
+    '<button type="button" data-act="in" title="Zoom in">+</button>' +
+    '<a class="page" title="Open the zoom page">Page</a>' +
+    '<button type="button" data-act="close" title="Close">&#10005;</button>' +
+    '</div><div class="esm-lb-stage"><div class="esm-lb-canvas"></div></div>';
+  document.body.appendChild(box);
+
+  var stage = box.querySelector('.esm-lb-stage');
+  var canvas = box.querySelector('.esm-lb-canvas');
+  var view = panZoom(stage, canvas);
+  var cur = 0;
+  function show(i) {
+    cur = (i + ids.length) % ids.length;
+    var tpl = document.getElementById(ids[cur]);
+    canvas.innerHTML = '';
+    canvas.appendChild(document.importNode(tpl.content, true));
+    var link = links.filter(function (a) { return a.dataset.zoom === ids[cur]; })[0];
+    box.querySelector('.page').href = link ? link.getAttribute('href') : '#';
+    box.querySelector('.pos').textContent = (cur + 1) + ' / ' + ids.length;
+    box.querySelector('[data-act=prev]').disabled = box.querySelector('[data-act=next]').disabled = ids.length < 2;
+    box.hidden = false;
+    view.fit();
+  }
+  function close() { box.hidden = true; canvas.innerHTML = ''; }
+
+  links.forEach(function (a) {
+    a.addEventListener('click', function (e) {
+      if (e.ctrlKey || e.metaKey || e.shiftKey || e.button) return;
+      e.preventDefault();
+      show(ids.indexOf(a.dataset.zoom));
+    });
+  });
+
+  box.querySelector('.esm-lb-bar').addEventListener('click', function (e) {
+    var act = e.target.closest('[data-act]');
+    if (!act) return;
+    var r = stage.getBoundingClientRect();
+    switch (act.dataset.act) {
+      case 'prev': show(cur - 1); break;
+      case 'next': show(cur + 1); break;
+      case 'in': view.zoomAt(1.25, r.width / 2, r.height / 2); break;
+      case 'out': view.zoomAt(0.8, r.width / 2, r.height / 2); break;
+      case 'fit': view.fit(); break;
+      case 'close': close(); break;
+    }
+  });
+
+  document.addEventListener('keydown', function (e) {
+    if (box.hidden) return;
+    if (e.key === 'Escape') close();
+    else if (e.key === 'ArrowLeft') show(cur - 1);
+    else if (e.key === 'ArrowRight') show(cur + 1);
+    else if (e.key === '+' || e.key === '=') view.zoomAt(1.25, stage.clientWidth / 2, stage.clientHeight / 2);
+    else if (e.key === '-') view.zoomAt(0.8, stage.clientWidth / 2, stage.clientHeight / 2);
+    else return;
+    e.preventDefault();
+  });
+
+  window.addEventListener('resize', function () { if (!box.hidden) view.fit(); });
+
+  // page.html#zoom-<figure> opens that figure (links from the torque/tools views)
+  function fromHash() {
+    var i = ids.indexOf(decodeURIComponent(location.hash.slice(1)));
+    if (i >= 0) show(i);
+  }
+  window.addEventListener('hashchange', fromHash);
+  fromHash();
+})();
+`;
+
+// ------------- wiring diagrams -------------
+// Circuit diagrams come as sheets <circuit>01.html ... <circuit>NN.html, each a large PNG with its
+// label overlay and an IE-only VML toolbar (prZoomIn/prZoomOut/prRateSelect/prPrintImage). The
+// toolbar and its scripts are dropped; the figures go into a pan/zoom viewer with label search
+// (page.html#find=<text> opens a sheet with the matches highlighted) and sheet navigation.
+const WIRING_PAGE_RE = /^(S[0-9A-Z]{19}AAD)(\d{2})(\.html?)$/i;
+// Honda wire colour codes (the "Wire Color Codes" table of the manual) -> [name, swatch colour]
+const WIRE_COLORS = {
+  WHT: ["White", "#ffffff"],
+  YEL: ["Yellow", "#ffd600"],
+  BLK: ["Black", "#111111"],
+  BLU: ["Blue", "#1e5bd8"],
+  GRN: ["Green", "#1f9d3a"],
+  RED: ["Red", "#d62828"],
+  ORN: ["Orange", "#f57c00"],
+  PNK: ["Pink", "#f48fb1"],
+  BRN: ["Brown", "#7b4a24"],
+  GRY: ["Gray", "#8e8e8e"],
+  PUR: ["Purple", "#7b3fa0"],
+  "LT BLU": ["Light Blue", "#7cc4f5"],
+  "LT GRN": ["Light Green", "#8fd36b"]
+};
+const LEGACY_VIEWER_SCRIPT_RE = /\bfunction\s+(?:prZoomIn|prZoomOut|prRateSelect|prPrintImage|jsInitializeImageHandler)\b/;
+
+// { circuit, sheets: [file names in sheet order] } for a diagram sheet, else null
+function wiringSheets(rel, allPaths) {
+  const m = path.posix.basename(rel).match(WIRING_PAGE_RE);
+  if (!m) return null;
+  const dir = path.posix.dirname(rel);
+  const sheets = [];
+  for (let n = 1; n <= 99; n++) {
+    const name = `${m[1]}${String(n).padStart(2, "0")}${m[3]}`;
+    if (allPaths.has(`${dir}/${name}`)) sheets.push(name);
+  }
+  return { circuit: m[1], sheets };
+}
+
+// Replaces the legacy toolbar with the viewer around the page's inlined figures
+function attachWiringViewer($, rel, { sheets }) {
+  const figs = $("svg.esm-fig").filter((_, el) => !$(el).closest("template").length);
+  if (!figs.length) return false;
+  $("#toolbar + br").remove();
+  $("#toolbar").remove();
+  $("script:not([src])").filter((_, el) => LEGACY_VIEWER_SCRIPT_RE.test($(el).html() || "")).remove();
+  $("style").filter((_, el) => /#default#VML/i.test($(el).html() || "")).remove();
+
+  figs.first().before(`<div class="esm-wd" data-sheet="${escapeHtml(path.posix.basename(rel))}" data-sheets="${escapeHtml(sheets.join(" "))}"><div class="esm-wd-stage" tabindex="0"><div class="esm-wd-canvas"></div></div></div>`);
+  $(".esm-wd-canvas").append(figs);
+  $("head").append(`<style>${WIRING_CSS}</style>`);
+  $("body").append(`<script>${WIRING_JS}</script>`);
+  return true;
+}
+
+// Layout applies once the script has set up the viewer (.on); without it the figure stays inline
+const WIRING_CSS = `
+.esm-wd.on { position: relative; display: flex; flex-direction: column; height: 88vh; min-height: 320px; margin: 8px 0; border: 1px solid #d6dbe1; border-radius: 8px; overflow: hidden; font: 13px/1.4 system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; }
+.esm-wd-bar { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; padding: 6px 8px; border-bottom: 1px solid #d6dbe1; background: #f4f6f8; }
+.esm-wd-bar .sp { flex: 1; }
+.esm-wd-bar button, .esm-wd-bar a, .esm-wd-bar select, .esm-wd-bar input { min-width: 30px; padding: 3px 8px; border: 1px solid #c3cad3; border-radius: 6px; background: #fff; color: #111; font: inherit; text-decoration: none; text-align: center; }
+.esm-wd-bar button, .esm-wd-bar a { cursor: pointer; }
+.esm-wd-bar a.off { opacity: .4; pointer-events: none; }
+.esm-wd-bar input { width: 160px; text-align: left; }
+.esm-wd-bar .rate, .esm-wd-bar .hits { min-width: 44px; color: #44546a; font-variant-numeric: tabular-nums; }
+.esm-wd.on .esm-wd-stage { position: relative; flex: 1; overflow: hidden; touch-action: none; cursor: grab; background: #fff; }
+.esm-wd-stage.drag { cursor: grabbing; }
+.esm-wd-stage:focus:not(:focus-visible) { outline: none; }
+.esm-wd.on .esm-wd-canvas { position: absolute; left: 0; top: 0; transform-origin: 0 0; }
+.esm-wd-canvas.smooth { transition: transform .15s ease-out; }
+.esm-wd.on .esm-wd-canvas svg { display: block; max-width: none !important; }
+.esm-wd-mark { fill: #ffe14d; fill-opacity: .8; }
+.esm-wd-mark.cur { fill: #ff8a00; }
+.esm-wd-swatch .edge { fill: none; stroke: #333; stroke-width: .5; }
+.esm-wd-colors { position: absolute; right: 8px; top: 48px; z-index: 2; max-height: calc(100% - 60px); overflow: auto; width: 260px; padding: 6px; border: 1px solid #c3cad3; border-radius: 8px; background: #fff; box-shadow: 0 4px 16px rgba(0,0,0,.15); }
+.esm-wd-colors[hidden] { display: none; }
+.esm-wd-colors .h { margin: 4px 4px 2px; color: #44546a; font-size: 11px; text-transform: uppercase; letter-spacing: .04em; }
+.esm-wd-colors button { display: flex; align-items: center; gap: 8px; width: 100%; padding: 3px 4px; border: 0; border-radius: 4px; background: none; color: #111; font: inherit; text-align: left; cursor: pointer; }
+.esm-wd-colors button:hover, .esm-wd-colors button.on { background: #e8f1fb; }
+.esm-wd-colors button:disabled { opacity: .45; cursor: default; }
+.esm-wd-colors b { min-width: 64px; font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 12px; }
+.esm-wd-colors .n { margin-left: auto; color: #44546a; font-variant-numeric: tabular-nums; }
+.esm-wd-colors p { margin: 6px 4px 2px; color: #44546a; font-size: 12px; }
+.esm-wd-colors .sw { position: relative; display: inline-block; flex: none; width: 22px; height: 12px; border: 1px solid #333; border-radius: 2px; }
+.esm-wd-colors .sw i { position: absolute; left: 0; right: 0; top: 3px; height: 4px; }
+@media print {
+  .esm-wd-bar, .esm-wd-colors { display: none; }
+  .esm-wd.on { display: block; height: auto; border: 0; }
+  .esm-wd.on .esm-wd-stage, .esm-wd.on .esm-wd-canvas { position: static; overflow: visible; transform: none !important; }
+  .esm-wd.on .esm-wd-canvas svg { max-width: 100% !important; }
+}
+`;
+
+const WIRING_JS = `
+(function () {
+${PAN_ZOOM_JS}
+  var root = document.querySelector('.esm-wd');
+  if (!root) return;
+  var sheets = root.dataset.sheets.split(' ');
+  var cur = sheets.indexOf(root.dataset.sheet);
+  var stage = root.querySelector('.esm-wd-stage');
+  var canvas = root.querySelector('.esm-wd-canvas');
+  var findKey = 'esm-wd:find:' + root.dataset.sheets; // the search follows its circuit's sheets only
+  var focusKey = 'esm-wd:focus'; // sheet reached with PageUp/PageDown, which keeps the keyboard focus
+
+  var bar = document.createElement('div');
+  bar.className = 'esm-wd-bar';
+  bar.innerHTML =
+    '<a class="prev" title="Previous sheet (PageUp)">&#8592;</a>' +
+    '<select class="sheet" aria-label="Sheet"></select>' +
+    '<a class="next" title="Next sheet (PageDown)">&#8594;</a>' +
+    '<span class="sp"></span>' +
+    '<input type="search" class="find" placeholder="Find label" aria-label="Find label" autocomplete="off" spellcheck="false">' +
+    '<span class="hits"></span>' +
+    '<button type="button" data-act="hit-prev" title="Previous match (Shift+Enter)">&#8593;</button>' +
+    '<button type="button" data-act="hit-next" title="Next match (Enter)">&#8595;</button>' +
+    '<button type="button" data-act="colors" title="Wire colour codes">Colours</button>' +
+    '<span class="sp"></span>' +
+    '<button type="button" data-act="out" title="Zoom out (-)">&#8722;</button>' +
+    '<span class="rate"></span>' +
+    '<button type="button" data-act="in" title="Zoom in (+)">+</button>' +
+    '<button type="button" data-act="fit" title="Fit (0)">Fit</button>' +
+    '<button type="button" data-act="actual" title="Actual size">1:1</button>' +
+    '<button type="button" data-act="print" title="Print the diagram">Print</button>';
+  root.insertBefore(bar, stage);
+  root.classList.add('on');
+
+  // Sheets of this circuit
+  var select = bar.querySelector('.sheet');
+  sheets.forEach(function (s, i) {
+    var o = document.createElement('option');
+    o.value = s;
+    o.textContent = 'Sheet ' + (i + 1) + ' / ' + sheets.length;
+    select.appendChild(o);
+  });
+  select.value = sheets[cur];
+  select.disabled = sheets.length < 2;
+  function sheetLink(cls, i) {
+    var a = bar.querySelector('.' + cls);
+    if (i >= 0 && i < sheets.length) a.href = sheets[i]; else a.classList.add('off');
+  }
+  sheetLink('prev', cur - 1);
+  sheetLink('next', cur + 1);
+  function goSheet(i) { if (i >= 0 && i < sheets.length && i !== cur) location.href = sheets[i]; }
+  select.addEventListener('change', function () { goSheet(sheets.indexOf(select.value)); });
+
+  var view = panZoom(stage, canvas, {
+    smooth: true,
+    onChange: function (scale) { bar.querySelector('.rate').textContent = Math.round(scale * 100) + '%'; }
+  });
+  function center() { return { x: stage.clientWidth / 2, y: stage.clientHeight / 2 }; }
+
+  bar.addEventListener('click', function (e) {
+    var act = e.target.closest('[data-act]');
+    if (!act) return;
+    var c = center();
+    switch (act.dataset.act) {
+      case 'in': view.zoomAt(1.25, c.x, c.y, true); break;
+      case 'out': view.zoomAt(0.8, c.x, c.y, true); break;
+      case 'fit': view.fit(true); break;
+      case 'actual': view.zoomAt(1 / view.scale(), c.x, c.y, true); break;
+      case 'hit-prev': showHit(hit - 1); break;
+      case 'hit-next': showHit(hit + 1); break;
+      case 'print': window.print(); break;
+    }
+  });
+
+  stage.addEventListener('dblclick', function (e) {
+    var r = stage.getBoundingClientRect();
+    view.zoomAt(e.shiftKey ? 0.5 : 2, e.clientX - r.left, e.clientY - r.top, true);
+  });
+
+  // Label search: matches get a marker behind them; Enter steps through them
+  var find = bar.querySelector('.find');
+  var labels = Array.prototype.slice.call(canvas.querySelectorAll('text.lbl'));
+  var hits = [], marks = [], hit = -1, query = '';
+  function svgRect(cls, x, y, w, h) {
+    var r = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    r.setAttribute('class', cls);
+    r.setAttribute('x', x); r.setAttribute('y', y);
+    r.setAttribute('width', w); r.setAttribute('height', h);
+    return r;
+  }
+  function mark(t) {
+    var b = t.getBBox();
+    var m = svgRect('esm-wd-mark', b.x - 2, b.y - 1, b.width + 4, b.height + 2);
+    m.setAttribute('rx', 2);
+    t.parentNode.insertBefore(m, t);
+    hits.push(t); marks.push(m);
+  }
+  function clearMarks() {
+    marks.forEach(function (m) { m.remove(); });
+    hits = []; marks = []; hit = -1;
+  }
+  function search(q) {
+    clearMarks();
+    q = query = q.trim().toLowerCase();
+    if (q) labels.forEach(function (t) { if (t.textContent.toLowerCase().indexOf(q) >= 0) mark(t); });
+    bar.querySelector('.hits').textContent = q ? (hits.length ? hits.length + ' found' : 'none') : '';
+    try { if (q) sessionStorage.setItem(findKey, q); else sessionStorage.removeItem(findKey); } catch (e) {}
+  }
+  // Centres a match, zooming in to at least 150%
+  function showHit(i) {
+    if (!hits.length) return;
+    if (hit >= 0) marks[hit].classList.remove('cur');
+    hit = (i + hits.length) % hits.length;
+    marks[hit].classList.add('cur');
+    var cr = canvas.getBoundingClientRect(), r = marks[hit].getBoundingClientRect();
+    var k = cr.width / (canvas.offsetWidth || 1) || 1;
+    var x = (r.left + r.width / 2 - cr.left) / k, y = (r.top + r.height / 2 - cr.top) / k;
+    view.centerOn(x, y, Math.max(view.scale(), 1.5), true);
+    bar.querySelector('.hits').textContent = (hit + 1) + ' / ' + hits.length;
+  }
+  var timer = 0;
+  find.addEventListener('input', function () {
+    clearTimeout(timer);
+    timer = setTimeout(function () { search(find.value); }, 150);
+  });
+  find.addEventListener('keydown', function (e) {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    clearTimeout(timer);
+    if (find.value.trim().toLowerCase() !== query) search(find.value);
+    showHit(e.shiftKey ? hit - 1 : hit + 1);
+  });
+
+  // Wire colours: "GRN/BLK" = green insulation with a black stripe. Colour labels get a swatch;
+  // the legend lists the codes on this sheet and highlights the labels of a clicked colour.
+  var COLORS = ${JSON.stringify(WIRE_COLORS)};
+  function wireColors(text) {
+    // "[RED/BLK]" (alternative wiring) and "WHT/RED*2" (footnote) are colour labels too
+    var parts = text.trim().toUpperCase().replace(/^\\[(.*)\\]$/, '$1').replace(/ ?\\*\\d*$/, '').split('/').map(function (p) { return p.replace(/^LT ?/, 'LT '); });
+    return parts.length <= 2 && parts.every(function (p) { return COLORS[p]; }) ? parts : null;
+  }
+  var wires = [];
+  labels.forEach(function (t) {
+    var parts = wireColors(t.textContent);
+    if (!parts) return;
+    var b = t.getBBox(), h = b.height * 0.7, w = h * 1.6;
+    var x = b.x - w - 2, y = b.y + (b.height - h) / 2;
+    var sw = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    sw.setAttribute('class', 'esm-wd-swatch');
+    sw.appendChild(svgRect('', x, y, w, h)).setAttribute('fill', COLORS[parts[0]][1]);
+    if (parts[1]) sw.appendChild(svgRect('', x, y + h / 3, w, h / 3)).setAttribute('fill', COLORS[parts[1]][1]);
+    sw.appendChild(svgRect('edge', x, y, w, h));
+    t.parentNode.insertBefore(sw, t);
+    wires.push({ text: t, code: parts.join('/'), parts: parts });
+  });
+
+  var legend = document.createElement('div');
+  legend.className = 'esm-wd-colors';
+  legend.hidden = true;
+  root.insertBefore(legend, stage);
+  function swatchHtml(parts) {
+    return '<i class="sw" style="background:' + COLORS[parts[0]][1] + '">' +
+      (parts[1] ? '<i style="background:' + COLORS[parts[1]][1] + '"></i>' : '') + '</i>';
+  }
+  function legendRow(code, parts, name, n) {
+    return '<button type="button" data-color="' + code + '"' + (parts.length > 1 ? ' data-exact="1"' : '') + (n ? '' : ' disabled') + '>' +
+      swatchHtml(parts) + '<b>' + code + '</b><span>' + name + '</span><span class="n">' + n + '</span></button>';
+  }
+  function renderLegend() {
+    var count = {};
+    wires.forEach(function (w) {
+      count[w.code] = (count[w.code] || 0) + 1;
+      w.parts.forEach(function (p) { count['*' + p] = (count['*' + p] || 0) + 1; });
+    });
+    var combos = Object.keys(count).filter(function (k) { return k.indexOf('/') > 0; }).sort();
+    legend.innerHTML =
+      '<div class="h">Colour codes</div>' +
+      Object.keys(COLORS).map(function (c) { return legendRow(c, [c], COLORS[c][0], count['*' + c] || 0); }).join('') +
+      (combos.length ? '<div class="h">Striped wires on this sheet</div>' + combos.map(function (c) {
+        var parts = c.split('/');
+        return legendRow(c, parts, COLORS[parts[0]][0] + ', ' + COLORS[parts[1]][0].toLowerCase() + ' stripe', count[c]);
+      }).join('') : '') +
+      '<p>The first colour is the insulation, the second the stripe.</p>';
+  }
+  function highlightColor(code, exact) {
+    clearMarks();
+    find.value = query = '';
+    wires.forEach(function (w) { if (exact ? w.code === code : w.parts.indexOf(code) >= 0) mark(w.text); });
+    Array.prototype.forEach.call(legend.querySelectorAll('[data-color]'), function (b) {
+      b.classList.toggle('on', b.dataset.color === code && !!b.dataset.exact === exact);
+    });
+    bar.querySelector('.hits').textContent = code + ': ' + hits.length;
+  }
+  legend.addEventListener('click', function (e) {
+    var b = e.target.closest('[data-color]');
+    if (b) highlightColor(b.dataset.color, !!b.dataset.exact);
+  });
+  bar.querySelector('[data-act=colors]').addEventListener('click', function () {
+    if (legend.hidden && !legend.firstChild) renderLegend();
+    legend.hidden = !legend.hidden;
+  });
+
+  document.addEventListener('keydown', function (e) {
+    if (e.target.closest && e.target.closest('input, select, textarea')) return;
+    var c = center();
+    if (e.key === '+' || e.key === '=') view.zoomAt(1.25, c.x, c.y, true);
+    else if (e.key === '-') view.zoomAt(0.8, c.x, c.y, true);
+    else if (e.key === '0') view.fit(true);
+    else if ((e.key === 'PageUp' || e.key === 'PageDown') && root.contains(document.activeElement)) {
+      var to = cur + (e.key === 'PageUp' ? -1 : 1);
+      try { sessionStorage.setItem(focusKey, sheets[to] || ''); } catch (err) {}
+      goSheet(to);
+    }
+    else if (e.key === '/') find.focus();
+    else if (e.key === 'Escape' && !legend.hidden) legend.hidden = true;
+    else return;
+    e.preventDefault();
+  });
+
+  window.addEventListener('resize', function () { view.fit(); });
+  view.fit();
+  try {
+    if (sessionStorage.getItem(focusKey) === root.dataset.sheet) stage.focus({ preventScroll: true });
+    sessionStorage.removeItem(focusKey);
+  } catch (e) {}
+
+  // #find=<text> (or the search carried over from the previous sheet) highlights on load
+  function fromHash() {
+    var m = location.hash.match(/^#find=(.+)$/);
+    var q = m ? decodeURIComponent(m[1]) : '';
+    try { q = q || sessionStorage.getItem(findKey) || ''; } catch (e) {}
+    if (!q) return;
+    find.value = q;
+    search(q);
+    if (m) showHit(0);
+  }
+  window.addEventListener('hashchange', fromHash);
+  fromHash();
+})();
+`;
+
+// ------------- full-text index -------------
+// Inverted index sharded by term prefix: the browser fetches only the shards for the
+// query terms and ranks with BM25 (title and figure-label fields weighted separately).
+//   _search/meta.json         N, field averages, BM25 params, shard keys, [path, dl...] per doc
+//   _search/t_<hex key>.json  { term: [bodyPostings, titlePostings?, figurePostings?] },
+//                             postings = [docIdDelta, tf, docIdDelta, tf, ...]
+//   _search/d_<n>.json        [{ s: snippet, f?: figure labels }] for docs n*FT_DOC_SHARD_SIZE...
+const FT_FIELDS = ["body", "title", "figure"];
+
+function createFulltextIndex() {
+  return { docs: [], postings: new Map() }; // term -> per field [docId, tf, ...]
+}
+
+function ftTermCounts(tokens) {
+  const counts = new Map();
+  for (const t of tokens) counts.set(t, (counts.get(t) || 0) + 1);
+  return counts;
+}
+
+// Per-page index input: snippet data plus "term[:tf]" counts per field (body untruncated)
+function fulltextDocData({ p, title, norm, toks, figs = [] }) {
+  const labels = figureLabels(figs);
+  const fields = [
+    toks,
+    tokenize(normalizeText(title)),
+    tokenize(normalizeText(labels.join(" ")))
+  ];
+  return {
+    p,
+    dl: fields.map(t => t.length),
+    s: norm.slice(0, settings.ftSnippetChars),
+    ...(labels.length ? { f: labels } : {}),
+    terms: fields.map(tokens => [...ftTermCounts(tokens)].map(([t, tf]) => (tf > 1 ? `${t}:${tf}` : t)).join(" "))
+  };
+}
+
+function ftParseTerms(str) {
+  if (!str) return [];
+  return str.split(" ").map(x => {
+    const i = x.indexOf(":");
+    return i < 0 ? [x, 1] : [x.slice(0, i), Number(x.slice(i + 1))];
+  });
+}
+
+function addFulltextDoc(ft, { p, dl, s, f, terms }) {
+  const id = ft.docs.length;
+  terms.forEach((str, field) => {
+    const counts = ftParseTerms(str);
+    for (const [term, tf] of field === 0 ? counts.slice(0, FT_MAX_TOKENS_PER_PAGE) : counts) {
+      if (!ft.postings.has(term)) ft.postings.set(term, FT_FIELDS.map(() => []));
+      ft.postings.get(term)[field].push(id, tf);
+    }
+  });
+  ft.docs.push({ p, dl, s, ...(f ? { f } : {}) });
+}
+
+// Group terms by prefix; prefixes whose shard would be too big are split one char deeper
+function ftShardKeys(terms, keyLen = FT_SHARD_PREFIX) {
+  const groups = new Map();
+  for (const [term, size] of terms) {
+    const k = term.slice(0, keyLen);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push([term, size]);
+  }
+  const out = [];
+  for (const [k, group] of groups) {
+    const bytes = group.reduce((n, [, size]) => n + size, 0);
+    const deeper = group.filter(([t]) => t.length > keyLen);
+    if (bytes > FT_SHARD_MAX_BYTES && deeper.length && keyLen < FT_SHARD_PREFIX_MAX) {
+      const rest = group.filter(([t]) => t.length <= keyLen);
+      if (rest.length) out.push([k, rest.map(([t]) => t)]);
+      out.push(...ftShardKeys(deeper, keyLen + 1));
+    } else {
+      out.push([k, group.map(([t]) => t)]);
+    }
+  }
+  return out;
+}
+
+function encodePostings(list) {
+  const out = [];
+  let prev = 0;
+  for (let i = 0; i < list.length; i += 2) { out.push(list[i] - prev, list[i + 1]); prev = list[i]; }
+  return out;
+}
+
+async function writeFulltextIndex(out, ft) {
+  const encoded = new Map();
+  for (const [term, fields] of ft.postings) {
+    const arr = fields.map(encodePostings);
+    while (arr.length > 1 && !arr[arr.length - 1].length) arr.pop();
+    encoded.set(term, arr);
+  }
+  const sized = [...encoded].map(([term, arr]) => [term, term.length + JSON.stringify(arr).length]);
+  const shards = ftShardKeys(sized.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0)));
+  for (const [key, terms] of shards) {
+    const obj = {};
+    for (const t of terms) obj[t] = encoded.get(t);
+    await writeOutput(out, `${FT_INDEX_DIR}/t_${Buffer.from(key).toString("hex")}.json`, JSON.stringify(obj));
+  }
+
+  for (let i = 0; i < ft.docs.length; i += FT_DOC_SHARD_SIZE) {
+    const slice = ft.docs.slice(i, i + FT_DOC_SHARD_SIZE).map(({ s, f }) => (f ? { s, f } : { s }));
+    await writeOutput(out, `${FT_INDEX_DIR}/d_${i / FT_DOC_SHARD_SIZE}.json`, JSON.stringify(slice));
+  }
+
+  const N = ft.docs.length;
+  const meta = {
+    N,
+    avgdl: FT_FIELDS.map((_, f) => (N ? ft.docs.reduce((n, d) => n + d.dl[f], 0) / N : 0)),
+    boost: FT_FIELD_BOOST,
+    k1: FT_BM25_K1,
+    b: FT_BM25_B,
+    docShardSize: FT_DOC_SHARD_SIZE,
+    shards: shards.map(([key]) => key),
+    docs: ft.docs.map(d => [d.p, ...d.dl])
+  };
+  await writeOutput(out, `${FT_INDEX_DIR}/meta.json`, JSON.stringify(meta));
+
+  // Shards this index no longer has, including ones the build cache did not list
+  for (const name of await fs.readdir(path.join(out.outDir, FT_INDEX_DIR)).catch(() => [])) {
+    if (!out.files.has(`${FT_INDEX_DIR}/${name}`)) await fs.rm(path.join(out.outDir, FT_INDEX_DIR, name), { force: true });
+  }
+  return { docs: N, terms: encoded.size, shards: shards.length };
+}
+
+// ------------- DTC index -------------
+function dtcCodes(text) {
+  return [...new Set((text.match(DTC_CODE_RE) || []).map(c => c.toUpperCase()))];
+}
+
+// Codes in the title make a page the troubleshooting procedure for them; codes in the
+// text of a page that talks about DTCs are kept as mentions.
+function pageDtcCodes(title, norm, entry) {
+  const inTitle = dtcCodes(title);
+  const mentions = /\bdtcs?\b/.test(norm) ? dtcCodes(norm).filter(c => !inTitle.includes(c)) : [];
+  return inTitle.length || mentions.length ? { title: inTitle, mentions, dgc: entry?.dgc ?? [] } : null;
+}
+
+// { codes: { P0300: [[pageIdx, 1 = troubleshooting | 0 = mention], ...] }, pages: [{ p, t, dgc, dup }], dgc: { code: name } }
+function buildDtcIndex(navItems, dtcPages, names) {
+  const pages = [];
+  const codes = {};
+  const dgc = {};
+  for (const it of navItems) {
+    const d = dtcPages.get(it.path);
+    if (!d) continue;
+    const idx = pages.push({ p: it.path, t: it.title, dgc: d.dgc, dup: it.dup }) - 1;
+    for (const c of d.dgc) if (names.dgc.has(c)) dgc[c] = names.dgc.get(c);
+    for (const c of d.title) (codes[c] ||= []).push([idx, 1]);
+    for (const c of d.mentions) (codes[c] ||= []).push([idx, 0]);
+  }
+  const sorted = {};
+  for (const c of Object.keys(codes).sort()) sorted[c] = codes[c].sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+  return { codes: sorted, pages, dgc };
+}
+
+// Pages of a data file (_torque.json, ...): { p, t, ...describe(entry) } for each non-duplicate nav
+// page with data, in nav order; add(pageIdx, data) collects what the page contributes
+function indexPages(navItems, pageData, contents, describe, add) {
+  const pages = [];
+  for (const it of navItems) {
+    const data = pageData.get(it.path);
+    if (it.dup || !data?.length) continue;
+    const entry = it.key ? contents.byKey.get(it.key) : null;
+    add(pages.push({ p: it.path, t: it.title, ...describe(entry) }) - 1, data);
+  }
+  return pages;
+}
+
+function sieDescription(names) {
+  return entry => ({ ...sieLabels(entry?.sie, names), dgc: entry?.dgc ?? [] });
+}
+
+function uniqueBy(list, key) {
+  const seen = new Set();
+  return list.filter(x => { const k = key(x); return !seen.has(k) && seen.add(k); });
+}
+
+// ------------- torque specs -------------
+// "25 N·m (2.5 kgf·m, 18 lbf·ft)" in step text and figure callouts; small fasteners use
+// kgf·cm / lbf·in, and some specs are ranges ("2.9−3.9 N·m (30−40 kgf·cm, 26−35 lbf·in.)").
+const TORQUE_FILE = "_torque.json";
+const TORQUE_NUM = String.raw`\d+(?:\.\d+)?(?:\s*[−–-]\s*\d+(?:\.\d+)?)?`;
+const TORQUE_RE = new RegExp(
+  String.raw`(${TORQUE_NUM})\s*N·m\s*\(\s*(${TORQUE_NUM})\s*(kgf·c?m)\s*,\s*(${TORQUE_NUM})\s*(lbf·(?:ft|in))\.?\s*\)`, "g");
+const TORQUE_CONTEXT_CHARS = 160;
+const TORQUE_BLOCKS = new Set(["div", "li", "td", "th", "p", "dd", "dt"]);
+
+function torqueValues(m) {
+  const num = (s) => s.replace(/\s*[−–-]\s*/, "–");
+  return [num(m[1]), `${num(m[2])} ${m[3]}`, `${num(m[4])} ${m[5]}`];
+}
+
+// Sentence around a spec inside a longer block of text
+function torqueSentence(text, start, end) {
+  const from = Math.max(text.lastIndexOf(". ", start) + 1, 0);
+  const stop = text.indexOf(". ", end);
+  const s = text.slice(from, stop < 0 ? text.length : stop + 1).trim();
+  return s.length > TORQUE_CONTEXT_CHARS ? s.slice(0, TORQUE_CONTEXT_CHARS - 1) + "…" : s;
+}
+
+// Specs in the page text (figures excluded), each with the nearest preceding <a name>
+function pageTorqueSpecs($) {
+  const out = [];
+  const seen = new Set();
+  let anchor = "";
+  const walk = (node) => {
+    if (node.type === "tag") {
+      if (/^(svg|template|script|style)$/i.test(node.name)) return;
+      if (node.name.toLowerCase() === "a" && node.attribs?.name) anchor = node.attribs.name;
+      for (const c of node.children || []) walk(c);
+      return;
+    }
+    if (node.type !== "text" || !node.data.includes("N·m")) return;
+    let block = node.parent;
+    while (block && block.type === "tag" && !TORQUE_BLOCKS.has(block.name.toLowerCase()) && block.name.toLowerCase() !== "body") block = block.parent;
+    if (!block || seen.has(block)) return;
+    seen.add(block);
+    const text = $(block).text().replace(/\s+/g, " ").trim();
+    for (const m of text.matchAll(TORQUE_RE)) {
+      out.push([...torqueValues(m), torqueSentence(text, m.index, m.index + m[0].length), anchor]);
+    }
+  };
+  for (const c of $("body").get(0)?.children || []) walk(c);
+  return out;
+}
+
+// Specs in figure callouts; the rest of the callout ("6 x 1.0 mm", "BOLT") names the fastener
+function figureTorqueSpecs(figs) {
+  const out = [];
+  for (const { id, fig } of figs) {
+    for (const l of fig.labels) {
+      const text = l.lines.map(line => line.map(r => r.text).join("")).join(" ").replace(/\s+/g, " ").trim();
+      const specs = [...text.matchAll(TORQUE_RE)];
+      if (!specs.length) continue;
+      const rest = text.replace(TORQUE_RE, " ").replace(/\s+/g, " ").replace(/^[\s:,]+|[\s:,]+$/g, "");
+      for (const m of specs) out.push([...torqueValues(m), rest, id]);
+    }
+  }
+  return out;
+}
+
+// { pages: [{ p, t, section, system, component, dgc }], specs: [[pageIdx, N·m, kgf, lbf, context, ref]] }
+// ref is an <a name> in the page or the id of the figure the callout belongs to.
+function buildTorqueIndex(navItems, torquePages, contents, names) {
+  const specs = [];
+  const pages = indexPages(navItems, torquePages, contents, sieDescription(names), (idx, rows) => {
+    // the same callout can be shown both inline and zoomed
+    for (const r of uniqueBy(rows, r => r.join("\u0000"))) specs.push([idx, ...r]);
+  });
+  return { pages, specs };
+}
+
+// ------------- safety callouts -------------
+// WARNING/CAUTION are one-cell tables headed by th.warning_head/th.caution_head (a symbol image),
+// NOTICE is a div starting with img/NOTICE_EN.PNG, NOTE is a "NOTE:" div with the text inline
+// or in the list that follows it.
+const SAFETY_FILE = "_safety.json";
+const SAFETY_LABELS = { warning: "WARNING", caution: "CAUTION", notice: "NOTICE", note: "NOTE" };
+const SAFETY_SUMMARY_CHARS = 200;
+const NOTE_HEAD_RE = /^NOTES?(?:\s*:\s*|$)/;
+const NOTICE_IMG_RE = /(?:^|\/)NOTICE_EN\.PNG$/i;
+
+// Text of each leaf block (list item, paragraph) of a callout body
+function calloutItems($, body) {
+  const leaves = body.find("div, li, p").filter((_, el) => $(el).find("div, li, p").length === 0).toArray();
+  return (leaves.length ? leaves : [body.get(0)]).map(el => normalizeTitle($(el).text())).filter(Boolean);
+}
+
+function renderCallout(kind, id, bodyHtml) {
+  return `<aside class="esm-callout esm-${kind}" id="${id}" role="note"><div class="esm-callout-head">${SAFETY_LABELS[kind]}</div><div class="esm-callout-body">${bodyHtml}</div></aside>`;
+}
+
+// Replaces the page's safety notes with aside.esm-callout; returns [{ kind, id, items }] in page order
+function normalizeSafetyCallouts($) {
+  const callouts = [];
+  const replace = (kind, $el, body, extra = $()) => {
+    const id = `esm-safety-${callouts.length + 1}`;
+    const items = calloutItems($, body);
+    if (!items.length) return;
+    callouts.push({ kind, id, items });
+    $el.replaceWith(renderCallout(kind, id, body.html() ?? ""));
+    extra.remove();
+  };
+
+  $("th.warning_head, th.caution_head, img, div").each((_, el) => {
+    const $el = $(el);
+    if (!$el.closest("body").length) return; // inside a callout already replaced
+
+    if (el.tagName === "th") {
+      const table = $el.closest("table");
+      const body = table.find("td").first().clone();
+      replace($el.hasClass("warning_head") ? "warning" : "caution", table, body, table.next("br"));
+    } else if (el.tagName === "img") {
+      const div = $el.parent("div");
+      if (!NOTICE_IMG_RE.test($el.attr("src") || "") || !div.length) return;
+      const body = div.clone();
+      body.children("img").first().remove();
+      replace("notice", div, body);
+    } else if (!$el.children("div, ul, ol, table").length && NOTE_HEAD_RE.test($el.text().trim())) {
+      const rest = $el.text().trim().replace(NOTE_HEAD_RE, "");
+      if (rest) {
+        replace("note", $el, $("<div></div>").text(rest));
+      } else {
+        const next = $el.next("ul, ol, div");
+        if (next.length) replace("note", $el, $("<div></div>").append(next.clone()), next);
+      }
+    }
+  });
+  return callouts;
+}
+
+function safetyExcerpt(items) {
+  const text = items.join(" ");
+  return text.length > SAFETY_SUMMARY_CHARS ? text.slice(0, SAFETY_SUMMARY_CHARS - 1).trimEnd() + "…" : text;
+}
+
+// Summary put above the procedure; open when it has anything beyond NOTEs
+function renderSafetySummary(callouts) {
+  const counts = Object.keys(SAFETY_LABELS)
+    .map(kind => [kind, callouts.filter(c => c.kind === kind).length])
+    .filter(([, n]) => n)
+    .map(([kind, n]) => `${n} ${kind}${n > 1 ? "s" : ""}`);
+  const items = callouts.map(c =>
+    `<li class="esm-${c.kind}"><a href="#${c.id}"><b>${SAFETY_LABELS[c.kind]}</b> ${escapeHtml(safetyExcerpt(c.items))}</a></li>`);
+  const open = callouts.some(c => c.kind !== "note") ? " open" : "";
+  return `<details class="esm-safety"${open}><summary>Safety: ${counts.join(", ")}</summary><ul>${items.join("")}</ul></details>`;
+}
+
+const SAFETY_CSS = `
+.esm-callout { margin: 8px 0; border: 1px solid; border-left-width: 6px; border-radius: 6px; padding: 6px 10px; font-family: system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; }
+.esm-callout-head { font-weight: 700; font-size: 12px; letter-spacing: .06em; margin-bottom: 2px; }
+.esm-callout-head::before { margin-right: 6px; }
+.esm-callout-body ul, .esm-callout-body ol { margin: 2px 0; padding-left: 20px; }
+.esm-warning { border-color: #c62828; background: #fdecea; }
+.esm-warning .esm-callout-head { color: #b71c1c; }
+.esm-warning .esm-callout-head::before { content: "\\26A0"; }
+.esm-caution { border-color: #e0a100; background: #fff8e1; }
+.esm-caution .esm-callout-head { color: #8a6100; }
+.esm-caution .esm-callout-head::before { content: "\\26A0"; }
+.esm-notice { border-color: #1565c0; background: #e8f1fb; }
+.esm-notice .esm-callout-head { color: #0d47a1; }
+.esm-notice .esm-callout-head::before { content: "\\2139"; }
+.esm-note { border-color: #9aa5b1; background: #f4f6f8; }
+.esm-note .esm-callout-head { color: #44546a; }
+.esm-safety { margin: 8px 0 12px; padding: 6px 12px; border: 1px solid #d6dbe1; border-radius: 8px; background: #fafbfc; font: 13px/1.4 system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; }
+.esm-safety summary { cursor: pointer; font-weight: 600; }
+.esm-safety ul { list-style: none; margin: 6px 0 0; padding: 0; }
+.esm-safety li { margin: 3px 0; padding-left: 8px; border-left: 4px solid #9aa5b1; }
+.esm-safety li.esm-warning { border-left-color: #c62828; background: none; }
+.esm-safety li.esm-caution { border-left-color: #e0a100; background: none; }
+.esm-safety li.esm-notice { border-left-color: #1565c0; background: none; }
+.esm-safety a { color: inherit; text-decoration: none; }
+.esm-safety a:hover { text-decoration: underline; }
+`;
+
+// { pages: [{ p, t, section, system, component, dgc }], notes: [[pageIdx, kind, id, [text]]] }
+function buildSafetyIndex(navItems, safetyPages, contents, names) {
+  const notes = [];
+  const pages = indexPages(navItems, safetyPages, contents, sieDescription(names), (idx, callouts) => {
+    for (const c of uniqueBy(callouts, c => c.kind + "\u0000" + c.items.join("\u0000"))) notes.push([idx, c.kind, c.id, c.items]);
+  });
+  return { pages, notes };
+}
+
+// ------------- special tools -------------
+// "Special Tools Required" lists: div.tool_list_title followed by Prt() links holding the
+// tool name and number (an "or <number>" link names an alternative for the tool before it).
+const TOOLS_FILE = "_tools.json";
+const TOOL_NO_RE = /\b07[0-9A-Z]{3}-[0-9A-Z]{7}\b/g;
+
+// Tool picture: en/tn/<name>.png when there is one, else the full image the ZOOM page shows
+async function toolImage($, a, rel, links, cache) {
+  const jsRel = await zoomOverlayScript($, a, rel, links);
+  if (!jsRel) return "";
+  const img = (await loadOverlay(links, cache, jsRel))[0]?.img;
+  if (!img) return "";
+  const imgRel = resolveRelative(rel, img.src);
+  const tnRel = path.posix.join(path.posix.dirname(path.posix.dirname(imgRel)), "tn", path.posix.basename(imgRel).replace(/\.png$/i, ".png"));
+  return links.allPaths.has(tnRel) ? tnRel : links.allPaths.has(imgRel) ? imgRel : "";
+}
+
+// [{ no, name, img, alt: [no], altOf?, listed }]; listed = false for numbers only mentioned in the text.
+// Must run before rewriteLegacyLinks() (needs the Prt() targets).
+async function pageTools($, rel, links, cache) {
+  const tools = [];
+  for (const title of $(".tool_list_title").toArray()) {
+    let prev = null;
+    for (let el = $(title).next(); el.is("a[href]"); el = el.next()) {
+      const no = (el.text().match(TOOL_NO_RE) || [])[0];
+      if (!no) continue;
+      const name = el.clone().children("div").remove().end().text().replace(no, "").replace(/\s+/g, " ").trim();
+      if (prev && /^or$/i.test(name)) {
+        tools.push({ no, name: prev.name, img: prev.img, alt: [prev.no], altOf: prev.no, listed: true });
+        prev.alt.push(no);
+        continue;
+      }
+      prev = { no, name, img: await toolImage($, el.get(0), rel, links, cache), alt: [], listed: true };
+      tools.push(prev);
+    }
+  }
+  const known = new Set(tools.map(t => t.no));
+  for (const no of new Set($("body").text().match(TOOL_NO_RE) || [])) {
+    if (!known.has(no)) tools.push({ no, name: "", img: "", alt: [], listed: false });
+  }
+  return tools;
+}
+
+// "Tools needed" box put at the top of the page
+function renderToolsBox(tools, rel) {
+  const items = tools.filter(t => !t.altOf).map(t => {
+    const img = t.img ? `<img src="${escapeHtml(path.posix.relative(path.posix.dirname(rel), t.img))}" alt="" loading="lazy">` : "";
+    const alt = t.alt.length ? ` <span class="alt">or ${t.alt.map(escapeHtml).join(", ")}</span>` : "";
+    return `<li>${img}<span><b>${escapeHtml(t.name || "Special tool")}</b><code>${escapeHtml(t.no)}</code>${alt}</span></li>`;
+  });
+  return `<aside class="esm-tools"><div class="esm-tools-title">Tools needed</div><ul>${items.join("")}</ul></aside>`;
+}
+
+const TOOLS_BOX_CSS = `
+.esm-tools { margin: 8px 0 12px; padding: 8px 12px; border: 1px solid #c9d3e0; border-radius: 8px; background: #f5f8fc; font: 13px/1.4 system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; }
+.esm-tools-title { font-weight: 600; margin-bottom: 4px; }
+.esm-tools ul { list-style: none; margin: 0; padding: 0; display: flex; flex-wrap: wrap; gap: 8px 16px; }
+.esm-tools li { display: flex; align-items: center; gap: 8px; }
+.esm-tools img { width: 64px !important; height: auto !important; border: 1px solid #dde3ea; background: #fff; }
+.esm-tools li > span { display: flex; flex-direction: column; }
+.esm-tools code { color: #44546a; }
+.esm-tools .alt { color: #6b7a90; font-size: 12px; }
+`;
+
+// { pages: [{ p, t, dgc }], tools: [{ no, name, img, alt, uses: [[pageIdx, listed 1/0]] }] }
+function buildToolsCatalog(navItems, toolPages, contents) {
+  const byNo = new Map();
+  const pages = indexPages(navItems, toolPages, contents, entry => ({ dgc: entry?.dgc ?? [] }), (idx, tools) => {
+    for (const t of tools) {
+      if (!byNo.has(t.no)) byNo.set(t.no, { no: t.no, names: new Map(), img: "", alt: new Set(), uses: new Map() });
+      const rec = byNo.get(t.no);
+      if (t.name) rec.names.set(t.name, (rec.names.get(t.name) || 0) + 1);
+      rec.img ||= t.img;
+      t.alt.forEach(a => rec.alt.add(a));
+      rec.uses.set(idx, Math.max(rec.uses.get(idx) ?? 0, t.listed ? 1 : 0));
+    }
+  });
+  const tools = [...byNo.values()].sort((a, b) => a.no.localeCompare(b.no)).map(rec => ({
+    no: rec.no,
+    name: [...rec.names].sort((a, b) => b[1] - a[1])[0]?.[0] || "",
+    img: rec.img,
+    alt: [...rec.alt].sort(),
+    uses: [...rec.uses].sort((a, b) => b[1] - a[1] || a[0] - b[0])
+  }));
+  return { pages, tools };
+}
+
+// ------------- maintenance schedules -------------
+// Every "Maintenance Schedule" page is one service point ("20,000km(1year)") of one schedule:
+// the items done at that point, then recurring items under "Every ... km or ... years" headings.
+// The pages are folded into _maintenance.json for the Maintenance planner view.
+
+const MAINTENANCE_FILE = "_maintenance.json";
+const SERVICE_POINT_RE = /^([\d,]+)\s*(km|miles)\s*\(\s*(\d+)\s*years?\s*\)$/i;
+const SCHEDULE_ITEM_SEL = ".mentenance_item_title, .dis_mentenance_item_title, .com_mentenance_item_title";
+const MILES_PER_KM = 0.625; // the schedules' own conversion: 10,000 km (6,250 miles)
+
+function scheduleNumber(str) { return Number(str.replace(/,/g, "")); }
+
+// [text, page] of an item title or detail line; page = target of its first resolved link
+function scheduleLine($, el, rel) {
+  const text = $(el).text().replace(/\s+/g, " ").trim();
+  const href = $(el).find("a[href]").first().attr("href") || "";
+  return /^(?:#|[a-z]+:)/i.test(href) || !href ? [text] : [text, resolveRelative(rel, href)];
+}
+
+// { title, unit, dist, years, sections: [{ h, items: [{ t, p?, group?, d: [[text, page?]] }] }] }
+// or null; call after rewriteLegacyLinks() so item links are static
+function pageMaintenance($, rel) {
+  if (!$(SCHEDULE_ITEM_SEL).length) return null;
+  const point = $("div[align=right]").first().text().replace(/\s+/g, "").match(SERVICE_POINT_RE);
+  const title = $(".top_title").first().text().replace(/\s+/g, " ").trim();
+  if (!point || !title) return null;
+
+  const sections = [{ h: "", items: [] }];
+  $("b, table.Viewer[cellpadding]").each((_, el) => {
+    if (el.tagName === "b") {
+      if (!$(el).closest("table.Viewer[cellpadding]").length) sections.push({ h: $(el).text().replace(/\s+/g, " ").trim(), items: [] });
+      return;
+    }
+    const head = $(el).find(SCHEDULE_ITEM_SEL).first();
+    if (!head.length) return;
+    const [t, p] = scheduleLine($, head, rel);
+    const d = $(el).find("td.ViewerTD div").not(head).not(SCHEDULE_ITEM_SEL).toArray()
+      .map(div => scheduleLine($, div, rel)).filter(([text]) => text);
+    if (!t && !d.length) return;
+    sections[sections.length - 1].items.push({ t, ...(p ? { p } : {}), ...(head.is(".mentenance_item_title") ? {} : { group: true }), d });
+  });
+  return {
+    title,
+    unit: point[2].toLowerCase(),
+    dist: scheduleNumber(point[1]),
+    years: Number(point[3]),
+    sections: sections.filter(s => s.items.length)
+  };
+}
+
+// { d?, m? } (distance in the schedule's unit, months) of "10,000 km (6,250 miles) or 6 months"
+function serviceSpan(text, unit) {
+  const dist = text.match(/([\d,]+)\s*km(?:\s*\(\s*([\d,]+)\s*miles\s*\))?/i);
+  const time = text.match(/(?:\b(\d+)\s*)?\b(year|month)s?\b/i);
+  if (!dist && !time) return null;
+  const span = {};
+  if (dist) span.d = unit === "km" ? scheduleNumber(dist[1]) : dist[2] ? scheduleNumber(dist[2]) : Math.round(scheduleNumber(dist[1]) * MILES_PER_KM);
+  if (time) span.m = Number(time[1] || 1) * (time[2].toLowerCase() === "year" ? 12 : 1);
+  return span;
+}
+
+// "Every 40,000 km (25,000 miles)", "Every 3 years", "At 120,000 km (75,000 miles) or 8 years,
+// then every 80,000 km (50,000 miles) or 4 years" -> { at?, every }; null for other headings.
+// Conditional alternatives ("If the fuel is suspected to be contaminated, ...") are dropped.
+function parseServiceInterval(text, unit) {
+  const parts = text.split(/\bIf\b/)[0].split(/,\s*(?:then|thereafter)\s+/i);
+  const spans = parts.map(part => serviceSpan(part, unit));
+  if (!spans[0] || spans.length > 2 || spans.includes(null)) return null;
+  return spans.length === 2 ? { at: spans[0], every: spans[1] } : { every: spans[0] };
+}
+
+// { schedules: [{ title, unit, dgc, points: [{ d, y, p, items }], items: [{ t, p?, g?, d }],
+//   rules: [{ text, at?, every, items }] }] }; item `g` is the index of its group heading item
+function buildMaintenanceIndex(maintenancePages, contents) {
+  const schedules = new Map();
+  for (const [rel, page] of maintenancePages) {
+    const dgc = (page.key ? contents.byKey.get(page.key)?.dgc : null) ?? [];
+    const id = [page.title, page.unit, ...dgc].join("\u0000");
+    if (!schedules.has(id)) schedules.set(id, { title: page.title, unit: page.unit, dgc, points: [], items: [], rules: [], itemIds: new Map() });
+    const sch = schedules.get(id);
+
+    const itemIndex = (it, g) => {
+      const item = { t: it.t, ...(it.p ? { p: it.p } : {}), ...(g !== undefined ? { g } : {}), d: it.d };
+      const k = JSON.stringify(item);
+      if (!sch.itemIds.has(k)) sch.itemIds.set(k, sch.items.push(item) - 1);
+      return sch.itemIds.get(k);
+    };
+    const sectionItems = (s) => {
+      let g;
+      return s.items.map(it => {
+        if (it.group) return (g = itemIndex(it));
+        return itemIndex(it, g);
+      });
+    };
+
+    let point = sch.points.find(p => p.d === page.dist);
+    if (!point) point = sch.points[sch.points.push({ d: page.dist, y: page.years, p: rel, items: [] }) - 1];
+    for (const s of page.sections) {
+      const interval = parseServiceInterval(s.h, page.unit);
+      const items = sectionItems(s);
+      if (!interval) {
+        for (const i of items) if (!point.items.includes(i)) point.items.push(i);
+        continue;
+      }
+      let rule = sch.rules.find(r => r.text === s.h);
+      if (!rule) rule = sch.rules[sch.rules.push({ text: s.h, ...interval, items: [] }) - 1];
+      for (const i of items) if (!rule.items.includes(i)) rule.items.push(i);
+    }
+  }
+
+  const list = [...schedules.values()].map(({ itemIds, ...sch }) => {
+    sch.points.sort((a, b) => a.d - b.d);
+    return sch;
+  });
+  list.sort((a, b) => a.title.localeCompare(b.title) || a.unit.localeCompare(b.unit) || a.dgc.join().localeCompare(b.dgc.join()));
+  return { schedules: list };
+}
+
+// ------------- connector / fuse index -------------
+// Lookup-table pages by situation type (sitq): CB Fuse-to-components Index, CC Ground-to-components
+// Index, CD Connector View and DB-DG connector/relay/fuse box locations. Their tables and figure
+// callouts name fuses, grounds (G201), connectors (C101, T101), fuse/relay box sockets and relays or
+// control units; circuit diagram sheets name the same identifiers in their labels. Both are folded
+// into _connectors.json for the Connectors lookup view.
+const CONNECTORS_FILE = "_connectors.json";
+const CONNECTOR_SITQ = new Set(["CB", "CC", "CD", "DB", "DC", "DD", "DE", "DF", "DG"]);
+const CONNECTOR_ID_RE = /\b([CGT]\d{3})\b/g;
+const FUSE_LABEL_RE = /^No\.\s?(\d+)(?:\s*\([^)]*\))*(?:\s*FUSE)?$/i;
+const PART_NAME_RE = /\b(?:RELAY|UNIT|MODULE|BOX)\b/i;
+const CONNECTOR_KINDS = ["fuse", "ground", "connector", "socket", "part"];
+
+function partKey(name) { return name.toUpperCase().replace(/[^A-Z0-9]/g, ""); }
+
+// "HORN RELAY (With security alarm system)", "ABS ... UNIT or VSA ... UNIT" -> ["HORN RELAY"], [...]
+function partNames(text) {
+  return text.replace(/\s*\([^)]*\)?/g, "").split(/\s+or\s+/).map(s => s.trim()).filter(s => PART_NAME_RE.test(s));
+}
+
+// Text lines of each figure callout ([[line, bold]]), figures shown twice counted once
+function figureLabelLines(figs) {
+  const seen = new Set();
+  const out = [];
+  for (const { fig } of figs) {
+    for (const l of fig.labels) {
+      const lines = l.lines.map(line => [line.map(r => r.text).join("").replace(/\s+/g, " ").trim(), line.some(r => r.bold && r.text.trim())])
+        .filter(([text]) => text);
+      const k = JSON.stringify([l.x, l.y, lines]);
+      if (lines.length && !seen.has(k)) { seen.add(k); out.push(lines); }
+    }
+  }
+  return out;
+}
+
+function* modelTables(blocks) {
+  for (const b of blocks) {
+    if (b.type === "table") yield b;
+    if (b.blocks) yield* modelTables(b.blocks);
+  }
+}
+
+// { head: [names], rows: [[text]] } of a page-model table, row/colspans filled in
+function tableRecords(table) {
+  const grid = [];
+  table.rows.forEach((cells, r) => {
+    const row = (grid[r] ||= []);
+    let c = 0;
+    for (const cell of cells) {
+      while (row[c] !== undefined) c++;
+      for (let i = 0; i < (cell.rowspan || 1); i++) {
+        for (let j = 0; j < (cell.colspan || 1); j++) (grid[r + i] ||= [])[c + j] = cell;
+      }
+      c += cell.colspan || 1;
+    }
+  });
+  const headAt = grid.findIndex(row => row.some(cell => cell?.head));
+  if (headAt < 0) return null;
+  const text = (cell) => (cell?.text ?? "").replace(/^[—–-]+$/, "");
+  return {
+    head: grid[headAt].map(text),
+    rows: grid.slice(headAt + 1).filter(row => !row.some(cell => cell?.head)).map(row => row.map(text))
+  };
+}
+
+// [{ k, id, box?, d }] from a lookup page's tables and figure callouts; `box` names the fuse/relay
+// box of fuses and sockets (table caption, else the page title minus "Fuse to Components Index - ")
+function lookupPageRefs(model, figs, title) {
+  const refs = [];
+  const add = (k, id, box, d) => { if (id) refs.push({ k, id, ...(box ? { box } : {}), d }); };
+  const titleBox = title.replace(/^.*?\s+-\s+/, "").replace(/\s+Connector Locations$/i, "");
+  for (const s of model.sections) {
+    for (const table of modelTables(s.blocks)) {
+      const rec = tableRecords(table);
+      if (!rec) continue;
+      const box = table.caption || titleBox;
+      const col = (re) => rec.head.findIndex(h => re.test(h));
+      const fuse = col(/fuse/i), ground = col(/^ground/i), socket = col(/^socket/i), conn = col(/connector/i);
+      for (const row of rec.rows) {
+        // other cells of the row; bare numbers ("Ref", "Terminal") keep their column name
+        const rest = (skip) => row.map((v, i) => i === skip || !v ? "" : /^\d+$/.test(v) ? `${rec.head[i]} ${v}` : v)
+          .filter(Boolean).join(" · ");
+        if (fuse >= 0 && /^\d+$/.test(row[fuse])) add("fuse", `No.${row[fuse]}`, box, rest(fuse));
+        else if (ground >= 0) add("ground", (row[ground].match(/\bG\d+\b/) || [])[0], "", rest(ground));
+        else if (conn >= 0 && /^[CT]\d+$/.test(row[conn])) add("connector", row[conn], "", rest(conn));
+        else if (socket >= 0 && row[socket]) {
+          const v = row[socket];
+          const sock = v.match(/^([A-Z]{1,2})\b(?!\/)\s*(.*)$/); // "A", "A (ELD unit)"; not "A/F sensor relay"
+          if (/^[CT]\d+$/.test(v)) add("connector", v, "", `${box} · ${rest(socket)}`);
+          else if (sock) add("socket", sock[1], box, [sock[2], rest(socket)].filter(Boolean).join(" · "));
+          else add("part", v, "", `${box} · ${rest(socket)}`);
+        }
+      }
+    }
+  }
+  for (const lines of figureLabelLines(figs)) {
+    const text = lines.map(([t]) => t).join(" ");
+    for (const m of text.matchAll(CONNECTOR_ID_RE)) add(m[1][0] === "G" ? "ground" : "connector", m[1], "", "");
+    for (const name of partNames(lines.filter(([, bold]) => bold).map(([t]) => t).join(" "))) add("part", name, "", "");
+  }
+  return refs;
+}
+
+// [{ k, id, boxes?, a?, f }] named by a circuit diagram sheet; f is the label text to search for
+// when the sheet is opened; fuses carry the boxes (partKey) the sheet shows and their amps
+function sheetRefs(figs) {
+  const refs = [];
+  const labels = figureLabelLines(figs).map(lines => ({ first: lines[0][0], text: lines.map(([t]) => t).join(" "), lines }));
+  const boxes = [...new Set(labels.flatMap(l => partNames(l.text)).filter(n => /FUSE/i.test(n)).map(partKey))];
+  for (const l of labels) {
+    for (const m of l.text.matchAll(CONNECTOR_ID_RE)) refs.push({ k: m[1][0] === "G" ? "ground" : "connector", id: m[1], f: m[1] });
+    const fuse = l.text.match(FUSE_LABEL_RE);
+    const amps = l.text.match(/\((\d+(?:\.\d+)?)\s*A\)/);
+    if (fuse && boxes.length) refs.push({ k: "fuse", id: `No.${fuse[1]}`, boxes, ...(amps ? { a: amps[1] } : {}), f: l.first });
+    for (const name of new Set([l.text, ...l.lines.map(([t]) => t)].flatMap(partNames))) refs.push({ k: "part", id: name, f: l.first });
+  }
+  return refs;
+}
+
+// { labels: { sitq: name }, pages: [{ p, t, q, s?, dgc }], ids: [{ k, id, box?, refs: [[pageIdx, detail]],
+//   sheets: [[pageIdx, find]] }] }; s is the sheet number of a circuit diagram page. Identifiers come
+// from the lookup pages; sheets add grounds and connectors of their own but only link fuses and
+// parts that a lookup page names.
+function buildConnectorIndex(navItems, connectorPages, contents, names) {
+  const pages = [];
+  const byKey = new Map();
+  const idKey = (k, id, box = "") => `${k}\u0000${k === "part" ? "" : partKey(box)}\u0000${partKey(id)}`;
+  const entry = (k, id, box) => {
+    const key = idKey(k, id, box);
+    if (!byKey.has(key)) byKey.set(key, { k, id, ...(box ? { box } : {}), refs: [], sheets: [] });
+    const rec = byKey.get(key);
+    if (k === "part" && rec.id === rec.id.toUpperCase() && id !== id.toUpperCase()) rec.id = id; // "Horn relay" over "HORN RELAY"
+    return rec;
+  };
+  const addPage = (it, sheet) => {
+    const e = it.key ? contents.byKey.get(it.key) : null;
+    return pages.push({ p: it.path, t: it.title, q: e?.sie?.sitq || "", ...(sheet ? { s: Number(sheet[2]) } : {}), dgc: e?.dgc ?? [] }) - 1;
+  };
+
+  const sheets = [];
+  for (const it of navItems) {
+    const refs = connectorPages.get(it.path);
+    if (it.dup || !refs?.length) continue;
+    const sheet = path.posix.basename(it.path).match(WIRING_PAGE_RE);
+    if (sheet) { sheets.push([it, sheet, refs]); continue; }
+    const idx = addPage(it);
+    for (const r of refs) {
+      const rec = entry(r.k, r.id, r.box);
+      const last = rec.refs[rec.refs.length - 1];
+      if (last?.[0] === idx) { if (r.d && !last[1].split("; ").includes(r.d)) last[1] = last[1] ? `${last[1]}; ${r.d}` : r.d; }
+      else rec.refs.push([idx, r.d]);
+    }
+  }
+  for (const [it, sheet, refs] of sheets) {
+    let idx = -1;
+    const link = (rec, f) => {
+      if (idx < 0) idx = addPage(it, sheet);
+      if (!rec.sheets.some(([pi]) => pi === idx)) rec.sheets.push([idx, f]);
+    };
+    for (const r of refs) {
+      if (r.k === "fuse") {
+        // a sheet showing several boxes: the fuse rating tells them apart
+        const amps = r.a && new RegExp(`(?:^|[^\\d.])${r.a.replace(".", "\\.")} A\\b`);
+        for (const box of r.boxes) {
+          const rec = byKey.get(idKey("fuse", r.id, box));
+          if (rec && (!amps || rec.refs.some(([, d]) => amps.test(d)))) link(rec, r.f);
+        }
+      } else if (r.k === "part") {
+        const rec = byKey.get(idKey("part", r.id));
+        if (rec) link(rec, r.f);
+      } else {
+        link(entry(r.k, r.id), r.f);
+      }
+    }
+  }
+
+  const ids = [...byKey.values()].sort((a, b) =>
+    CONNECTOR_KINDS.indexOf(a.k) - CONNECTOR_KINDS.indexOf(b.k) || (a.box || "").localeCompare(b.box || "") ||
+    a.id.localeCompare(b.id, "en", { numeric: true }));
+  const labels = Object.fromEntries([...new Set(pages.map(p => p.q))].filter(q => names.sitq.has(q)).map(q => [q, names.sitq.get(q)]));
+  return { labels, pages, ids };
+}
+
+// ------------- responsive layout -------------
+// Pages built from table.Viewer rows (td#textTd 80% / td#graphTd 20%) are re-rendered from their
+// page model: text and figures stack on phones and sit side by side on wider screens.
+
+// The Viewer tables must be siblings separated only by <hr>, or the page keeps its legacy layout
+function viewerRowTables($) {
+  const tables = [...new Set($("td#textTd, td#graphTd").toArray().map(td => $(td).closest("table.Viewer").get(0)).filter(Boolean))];
+  if (!tables.length || tables.some(t => t.parent !== tables[0].parent)) return null;
+  const last = tables[tables.length - 1];
+  for (let el = $(tables[0]).next(); el.length && el.get(0) !== last; el = el.next()) {
+    if (!el.is("hr, table.Viewer")) return null;
+  }
+  return tables;
+}
+
+function applyResponsiveLayout($, model) {
+  const tables = viewerRowTables($);
+  if (!tables) return false;
+  const figureHtml = new Map();
+  for (const f of model.figures) {
+    const node = f.zoom
+      ? $(`a[data-zoom="${f.id}"]`).filter((_, a) => $(a).find("img").length > 0).first()
+      : $(`svg.esm-fig[id="${f.id}"]`).first();
+    if (node.length) figureHtml.set(f.id, $.html(node));
+  }
+  $(tables[0]).before(renderPageModel(model, id => figureHtml.get(id) ?? ""));
+  const last = tables[tables.length - 1];
+  while ($(tables[0]).next().length && $(tables[0]).next().get(0) !== last) $(tables[0]).next().remove();
+  $(last).remove();
+  $(tables[0]).remove();
+  $("head").append(`<style>${LAYOUT_CSS}</style>`);
+  $("body").append(`<script>${LAYOUT_JS}</script>`);
+  return true;
+}
+
+const LAYOUT_CSS = `
+.esm-page { max-width: 1200px; }
+.esm-row { display: grid; grid-template-columns: minmax(0, 1fr); gap: 8px 20px; padding: 10px 0; border-bottom: 1px solid #d6dbe1; }
+.esm-row:last-child { border-bottom: 0; }
+@media (min-width: 720px) {
+  .esm-row.has-figs { grid-template-columns: minmax(0, 3fr) minmax(200px, 2fr); }
+  .esm-row.has-figs.expanded { grid-template-columns: minmax(0, 1fr); }
+}
+.esm-text p { margin: 4px 0; }
+.esm-text ol.esm-step { margin: 6px 0; padding-left: 28px; }
+.esm-section { margin: 16px 0 4px; font-size: 16px; }
+.esm-figs { display: flex; flex-direction: column; gap: 10px; }
+.esm-figure { margin: 0; }
+.esm-figure figcaption { font-weight: 600; font-size: 13px; margin-bottom: 4px; }
+.esm-figure img, .esm-figure svg.esm-fig { display: block; width: 100% !important; max-width: 480px !important; height: auto !important; }
+.esm-figure.expanded img, .esm-figure.expanded svg.esm-fig { max-width: 100% !important; }
+.esm-figure .esm-full { display: none; }
+.esm-figure.expanded .esm-full { display: block; }
+.esm-figure.expanded:has(.esm-full) a[data-zoom] > img { display: none; }
+.esm-expand { margin-top: 4px; font-size: 12px; padding: 2px 10px; border: 1px solid #b8c2cc; border-radius: 999px; background: #fff; cursor: pointer; }
+.esm-table-wrap { overflow-x: auto; margin: 6px 0; }
+.esm-table td, .esm-table th { padding: 3px 6px; }
+.esm-table.bordered td, .esm-table.bordered th { border: 1px solid #9aa5b1; }
+.esm-link { margin: 4px 0; }
+.esm-image { margin: 6px 0; }
+.esm-image img { display: block; max-width: 100% !important; height: auto !important; }
+@media print {
+  .esm-row, .esm-figure { break-inside: avoid; }
+  .esm-section { break-after: avoid; }
+  .esm-expand { display: none; }
+  .esm-table-wrap { overflow: visible; }
+}
+`;
+
+// "Expand" shows a figure at full width in its row; lightbox thumbnails swap in the full-size figure
+const LAYOUT_JS = `
+(function () {
+  document.addEventListener('click', function (e) {
+    var btn = e.target.closest && e.target.closest('.esm-expand');
+    if (!btn) return;
+    var fig = btn.closest('.esm-figure');
+    var row = fig.closest('.esm-row');
+    var open = !fig.classList.contains('expanded');
+    var a = fig.querySelector('a[data-zoom]');
+    if (open && a && !fig.querySelector('.esm-full')) {
+      var tpl = document.getElementById(a.getAttribute('data-zoom'));
+      if (tpl) {
+        var full = document.createElement('div');
+        full.className = 'esm-full';
+        full.appendChild(tpl.content.cloneNode(true));
+        fig.insertBefore(full, btn);
+      }
+    }
+    fig.classList.toggle('expanded', open);
+    btn.setAttribute('aria-expanded', open ? 'true' : 'false');
+    btn.textContent = open ? 'Collapse' : 'Expand';
+    if (row) row.classList.toggle('expanded', !!row.querySelector('.esm-figure.expanded'));
+  });
+})();
+`;
+
+// ------------- print pages -------------
+// Procedures (nav pages whose model has numbered steps) get a print-ready copy, <page>.print.html:
+// a header with the vehicle, title and SIE code, then the page model in one column with every
+// figure at full size (zoom figures included with their callouts) and step blocks kept whole, so
+// page breaks fall between them. This replaces the IE-only _PR/_PR1/_PR2 print frames. With --pdf
+// the copies are also rendered to <page>.pdf by puppeteer's bundled headless Chromium.
+const PRINT_SUFFIX = ".print.html";
+const VEHICLE_NAME = "Honda Accord 7";
+const NO_VARIANT_NAMES = new Set(["NA", "Not used"]); // dgc names that say nothing about the vehicle
+const PDF_FOOTER = `<div style="width:100%;padding:0 12mm;display:flex;justify-content:space-between;font:8px system-ui,sans-serif;color:#555"><span class="title"></span><span><span class="pageNumber"></span> / <span class="totalPages"></span></span></div>`;
+
+function printPath(htmlPath) { return htmlPath.replace(/\.html?$/i, PRINT_SUFFIX); }
+function pdfPath(htmlPath) { return htmlPath.replace(/\.html?$/i, ".pdf"); }
+
+function modelHasSteps(model) {
+  const steps = blocks => blocks.some(b => b.type === "step" || (b.blocks && steps(b.blocks)));
+  return model.sections.some(s => steps(s.blocks));
+}
+
+// "Honda Accord 7 · 2003–2008 · M/T: K20A/K20Z/K24A, A/T" for the page's dgc codes
+function printVehicle(dgc, models, names) {
+  const fits = models.filter(m => !dgc.length || dgc.includes(UNIVERSAL_DGC) || m.dgc.some(c => dgc.includes(c)));
+  const years = [...new Set(fits.map(m => m.year).filter(Boolean))].sort();
+  const variants = dgc.map(c => names.dgc.get(c)).filter(n => n && !NO_VARIANT_NAMES.has(n));
+  return [
+    VEHICLE_NAME,
+    years.length > 1 ? `${years[0]}–${years[years.length - 1]}` : years[0],
+    variants.join(", ")
+  ].filter(Boolean).join(" · ");
+}
+
+// Full-size markup of a model figure: the lightbox template of a zoom figure, else the inline svg
+function printFigureHtml($, model, id) {
+  const fig = model.figures.find(f => f.id === id);
+  const tpl = fig?.zoom ? $(`template[id="${id}"]`) : null;
+  // Serialized node by node: cheerio's .html() on a <template> empties it in the page
+  if (tpl?.length) return tpl.contents().toArray().map(el => $.html(el)).join("");
+  const svg = $(`svg.esm-fig[id="${id}"]`).first();
+  if (svg.length) return $.html(svg);
+  const img = $(`a[data-zoom="${id}"] img`).first();
+  return img.length ? $.html(img) : "";
+}
+
+// Call after applyResponsiveLayout(): reuses the page's stylesheets and "Tools needed" box
+function renderPrintPage($, model, { title, code, vehicle, where }) {
+  const styles = $("head link[rel=stylesheet], head style").toArray().map(el => $.html(el)).join("\n");
+  const tools = $("body > .esm-tools").toArray().map(el => $.html(el)).join("");
+  const body = renderPageModel(model, id => printFigureHtml($, model, id));
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${styles}
+<style>${LAYOUT_CSS}${PRINT_CSS}</style>
+</head>
+<body class="esm-print">
+<div class="pr-bar"><button type="button" onclick="print()">Print</button></div>
+<header class="pr-head">
+  <div class="pr-vehicle">${escapeHtml(vehicle)}</div>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="pr-meta">${[code && `<code>${escapeHtml(code)}</code>`, where && escapeHtml(where)].filter(Boolean).join(" · ")}</div>
+</header>
+${tools}
+${body}
+<script>if (location.hash === '#print') addEventListener('load', function () { print(); });</script>
+</body>
+</html>`;
+}
+
+const PRINT_CSS = `
+@page { size: A4; margin: 14mm 12mm 16mm; }
+body.esm-print { max-width: 190mm; margin: 0 auto; padding: 8px; color: #000; background: #fff; font: 11pt/1.4 system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; }
+.pr-bar { text-align: right; }
+.pr-bar button { padding: 4px 14px; border: 1px solid #9aa5b1; border-radius: 999px; background: #fff; cursor: pointer; }
+.pr-head { border-bottom: 2px solid #000; margin-bottom: 10px; padding-bottom: 6px; }
+.pr-head h1 { font-size: 16pt; margin: 2px 0; }
+.pr-vehicle, .pr-meta { font-size: 9pt; color: #333; }
+.esm-print .esm-page { max-width: none; }
+.esm-print .esm-row, .esm-print .esm-row.has-figs { grid-template-columns: minmax(0, 1fr); }
+.esm-print .esm-figure img, .esm-print .esm-figure svg.esm-fig { max-width: 100% !important; }
+.esm-print .esm-expand { display: none; }
+.esm-print .esm-callout { break-inside: avoid; }
+@media print {
+  .pr-bar { display: none; }
+  body.esm-print { max-width: none; padding: 0; }
+  a { color: inherit; text-decoration: none; }
+}
+`;
+
+// Keeps the PDFs of print pages whose HTML is unchanged and, when `render` is set, renders the
+// rest with puppeteer. Returns { rendered, kept, failed, error?, hint? }; error says why nothing was
+// rendered (puppeteer not installed or its browser does not start) and hint is the command that
+// usually fixes a browser that does not start; failed lists "<pdf>: <reason>" for pages that did
+// not render. Either way the build goes on without those PDFs.
+async function writePrintPdfs(out, printPages, render) {
+  const todo = [];
+  let kept = 0;
+  for (const rel of printPages) {
+    const src = out.files.get(printPath(rel))?.hash;
+    if (out.prev.get(pdfPath(rel))?.src === src && await outputIntact(out, pdfPath(rel))) { keepOutput(out, pdfPath(rel)); kept++; }
+    else todo.push([rel, src]);
+  }
+  if (!render || !todo.length) return { rendered: 0, kept, failed: [] };
+
+  let puppeteer, browser;
+  try {
+    puppeteer = (await import("puppeteer")).default;
+  } catch (e) {
+    const error = e.code === "ERR_MODULE_NOT_FOUND" ? "puppeteer is not installed (npm install puppeteer)" : e.message.split("\n")[0];
+    return { rendered: 0, kept, failed: [], error };
+  }
+  try {
+    browser = await puppeteer.launch({ headless: true });
+  } catch (e) {
+    return { rendered: 0, kept, failed: [], error: e.message.split("\n")[0], hint: "npx puppeteer browsers install chrome" };
+  }
+  let rendered = 0;
+  const failed = [];
+  try {
+    let page = await browser.newPage();
+    for (const [rel, src] of todo) {
+      try {
+        await page.goto(pathToFileURL(path.join(out.outDir, printPath(rel))).href, { waitUntil: "load" });
+        const pdf = await page.pdf({
+          preferCSSPageSize: true, printBackground: true,
+          displayHeaderFooter: true, headerTemplate: "<span></span>", footerTemplate: PDF_FOOTER
+        });
+        await writeOutput(out, pdfPath(rel), Buffer.from(pdf));
+        out.files.get(pdfPath(rel)).src = src;
+        rendered++;
+      } catch (e) {
+        failed.push(`${pdfPath(rel)}: ${e.message.split("\n")[0]}`);
+        // The tab may be stuck in the failed navigation or crashed: the next page gets a new one
+        await page.close().catch(() => {});
+        page = await browser.newPage();
+      }
+    }
+  } catch (e) {
+    return { rendered, kept, failed, error: e.message.split("\n")[0] };
+  } finally {
+    await browser.close();
+  }
+  return { rendered, kept, failed };
+}
+
+// ------------- offline app (PWA) -------------
+// manifest + service worker: the shell, index and search data are precached per build, pages
+// and images are cached as they are viewed, and whole sct/sc sections can be downloaded from
+// the Offline view. The build version is a hash over every output file.
+const SW_FILE = "sw.js";
+const MANIFEST_FILE = "manifest.webmanifest";
+const ICON_FILE = "icon.svg";
+const OFFLINE_FILE = "_offline.json";
+const CACHE_PREFIX = "accord";
+const APP_NAME = `${VEHICLE_NAME} service manual`;
+const APP_SHORT_NAME = "Accord 7 manual";
+const THEME_COLOR = "#111319";
+const BACKGROUND_COLOR = "#0b0c0f";
+
+// Files a page loads: <img>, thumbnails and the <image> inside svg figures / lightbox templates,
+// plus its stylesheets and scripts (../css/ViewerStyle.css, ...)
+function pageAssetRefs($, rel) {
+  const refs = new Set();
+  $("img[src], image[href], input[type=image][src], link[rel~=stylesheet][href], script[src]").each((_, el) => {
+    const src = $(el).attr("src") || $(el).attr("href") || "";
+    if (!src || /^(?:[a-z]+:|\/\/|#)/i.test(src)) return;
+    refs.add(resolveRelative(rel, src.split(/[?#]/)[0]));
+  });
+  return [...refs];
+}
+
+// Images the stylesheets among the outputs load via url(): css rel -> [rel]
+const CSS_URL_RE = /url\(\s*['"]?([^'")]+)['"]?\s*\)/gi;
+async function stylesheetAssetRefs(out, files) {
+  const refs = new Map();
+  for (const rel of files.keys()) {
+    if (!/\.css$/i.test(rel)) continue;
+    const css = await readUtf8(path.join(out.outDir, rel));
+    refs.set(rel, [...css.matchAll(CSS_URL_RE)].map(m => m[1]).filter(u => !/^(?:[a-z]+:|\/\/|#)/i.test(u)).map(u => resolveRelative(rel, u.split(/[?#]/)[0])));
+  }
+  return refs;
+}
+
+function buildVersion(files) {
+  const h = crypto.createHash("sha1");
+  for (const rel of [...files.keys()].sort()) h.update(`${rel} ${files.get(rel).hash}\n`);
+  return h.digest("hex").slice(0, 12);
+}
+
+// { version, sections: [{ id: "sct/sc", label, pages, bytes, files }], shared: { file: size } } in nav order;
+// bytes counts the files only that section lists, shared the ones (stylesheets, ...) several sections list
+function buildOfflineIndex(navItems, contents, names, pageAssets, cssAssets, files, version) {
+  const sections = new Map();
+  for (const it of navItems) {
+    const sie = it.key ? contents.byKey.get(it.key)?.sie : null;
+    const id = sie ? `${sie.sct}/${sie.sc}` : "";
+    if (!sections.has(id)) sections.set(id, { id, label: sie ? sieLabels(sie, names).section : NAV_OTHER_LABEL, pages: 0, files: new Set() });
+    const s = sections.get(id);
+    s.pages++;
+    for (const rel of [it.path, ...(pageAssets.get(it.path) ?? [])]) {
+      for (const f of [rel, ...(cssAssets.get(rel) ?? [])]) if (files.has(f)) s.files.add(f);
+    }
+  }
+  const listed = new Map();
+  for (const s of sections.values()) for (const f of s.files) listed.set(f, (listed.get(f) || 0) + 1);
+  const shared = [...listed].filter(([, n]) => n > 1).map(([f]) => f).sort();
+  const order = [...names.sc.keys()];
+  const rank = id => { const i = order.indexOf(id); return i < 0 ? Infinity : i; };
+  return {
+    version,
+    sections: [...sections.values()]
+      .sort((a, b) => rank(a.id) - rank(b.id) || a.label.localeCompare(b.label))
+      .map(s => {
+        const list = [...s.files].sort();
+        const bytes = list.reduce((n, rel) => n + (listed.get(rel) > 1 ? 0 : files.get(rel).size), 0);
+        return { id: s.id, label: s.label, pages: s.pages, bytes, files: list };
+      }),
+    shared: Object.fromEntries(shared.map(f => [f, files.get(f).size]))
+  };
+}
+
+function renderManifest() {
+  return JSON.stringify({
+    name: APP_NAME,
+    short_name: APP_SHORT_NAME,
+    start_url: "./index.html",
+    scope: "./",
+    display: "standalone",
+    background_color: BACKGROUND_COLOR,
+    theme_color: THEME_COLOR,
+    icons: [{ src: ICON_FILE, sizes: "any", type: "image/svg+xml", purpose: "any" }]
+  }, null, 2);
+}
+
+const APP_ICON_SVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512">
+<rect width="512" height="512" rx="96" fill="${THEME_COLOR}"/>
+<rect x="40" y="40" width="432" height="432" rx="72" fill="none" stroke="#0b63ce" stroke-width="16"/>
+<text x="256" y="316" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="190" font-weight="700" fill="#f4f6fb">A7</text>
+</svg>
+`;
+
+function renderServiceWorker(version, precache) {
+  return `// Generated by build.mjs
+const VERSION = ${JSON.stringify(version)};
+const SHELL_CACHE = '${CACHE_PREFIX}-shell-' + VERSION;
+const CONTENT_CACHE = '${CACHE_PREFIX}-content';
+const PRECACHE = ${JSON.stringify(precache)};
+
+self.addEventListener('install', (e) => {
+  e.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(PRECACHE)));
+});
+
+// Drop the previous build's shell; content stays and is refreshed as pages are viewed
+self.addEventListener('activate', (e) => {
+  e.waitUntil((async () => {
+    for (const k of await caches.keys()) {
+      if (k.startsWith('${CACHE_PREFIX}-shell-') && k !== SHELL_CACHE) await caches.delete(k);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (e) => {
+  if (e.data === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (e) => {
+  const req = e.request;
+  if (req.method !== 'GET' || new URL(req.url).origin !== location.origin) return;
+  e.respondWith((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    const hit = await shell.match(req, { ignoreSearch: true });
+    if (hit) return hit;
+    // Pages and images: cached copy first, refreshed in the background
+    const content = await caches.open(CONTENT_CACHE);
+    const cached = await content.match(req, { ignoreSearch: true });
+    const fresh = fetch(req).then(res => {
+      if (res.ok) return content.put(req, res.clone()).then(() => res);
+      return res;
+    });
+    if (cached) {
+      e.waitUntil(fresh.catch(() => {}));
+      return cached;
+    }
+    return fresh;
+  })());
+});
+`;
+}
+
+// Writes the manifest and icon, then (from the hashes of everything written so far, which
+// excludes the files that embed the version) _offline.json and sw.js
+async function writeOfflineApp(out, navItems, contents, names, pageAssets) {
+  await writeOutput(out, MANIFEST_FILE, renderManifest());
+  await writeOutput(out, ICON_FILE, APP_ICON_SVG);
+
+  const files = new Map(out.files);
+  const version = buildVersion(files);
+  const offline = buildOfflineIndex(navItems, contents, names, pageAssets, await stylesheetAssetRefs(out, files), files, version);
+  await writeOutput(out, OFFLINE_FILE, JSON.stringify(offline));
+
+  const dataFiles = [DTC_INDEX_FILE, TORQUE_FILE, TOOLS_FILE, SAFETY_FILE, MAINTENANCE_FILE, CONNECTORS_FILE].filter(f => files.has(f));
+  const search = [...files.keys()].filter(rel => rel.startsWith(`${FT_INDEX_DIR}/`)).sort();
+  const precache = ["./", "index.html", MANIFEST_FILE, ICON_FILE, OFFLINE_FILE, ...dataFiles, ...search];
+  await writeOutput(out, SW_FILE, renderServiceWorker(version, precache));
+  return { version, sections: offline.sections.length, precache: precache.length };
+}
+
+// ------------- nav tree -------------
+const NAV_GENERAL_LABEL = "General";
+const NAV_OTHER_LABEL = "Other pages";
 
-    for (let i=1; i<arr.length; i++) {
-      const cand = arr[i];
-      let isDup = false;
+// Section / system / component names of an SIE code (zero codes -> "")
+function sieLabels(sie, names) {
+  if (!sie) return { section: "", system: "", component: "" };
+  const sct = isZeroCode(sie.sct) ? NAV_GENERAL_LABEL : (names.sct.get(sie.sct) || sie.sct);
+  const sc = isZeroCode(sie.sc) ? "" : (names.sc.get(`${sie.sct}/${sie.sc}`) || sie.sc);
+  return {
+    section: [sct, sc].filter(Boolean).join(" › "),
+    system: isZeroCode(sie.sys) ? sc : (names.sys.get(sie.sys) || sie.sys),
+    component: isZeroCode(sie.comp) ? "" : (names.comp.get(sie.comp) || sie.comp)
+  };
+}
 
-      const ham = Number(hamming64(canonical.simhash, cand.simhash));
-      if (ham <= HAMMING_MAX) {
-        isDup = true;
-      } else {
-        const canHtml = await readUtf8(path.join(outDir, canonical.path));
-        const cHtml = await readUtf8(path.join(outDir, cand.path));
-        const $$a = cheerio.load(canHtml, { decodeEntities:false });
-        const $$b = cheerio.load(cHtml, { decodeEntities:false });
-        const setA = new Set(tokenize(normalizeTextForCompare($$a)));
-        const setB = new Set(tokenize(normalizeTextForCompare($$b)));
-        const jac = jaccard(setA, setB);
-        if (jac >= JACCARD_MIN) isDup = true;
-      }
+// Group nav items by base SIE: sct -> sc -> sys -> comp. Zero codes skip a level.
+function buildNavTree(navItems, contents, names) {
+  const sctOrder = [...names.sct.keys()];
+  const scOrder = [...names.sc.keys()];
+  const root = { children: new Map(), items: [] };
+  const other = { label: NAV_OTHER_LABEL, order: Infinity, children: new Map(), items: [] };
 
-      if (isDup) dupes.push(cand);
-      else keep.push(cand);
-    }
+  function child(node, id, label, order = -1) {
+    if (!node.children.has(id)) node.children.set(id, { label, order, children: new Map(), items: [] });
+    return node.children.get(id);
+  }
 
-    for (const k of keep) navItems.push({ title, path: k.path, dup: false });
-    for (const d of dupes) navItems.push({ title, path: d.path, dup: true });
+  for (const it of navItems) {
+    const entry = it.key ? contents.byKey.get(it.key) : null;
+    const sie = entry?.sie;
+    if (!sie) { other.items.push(it); continue; }
 
-    if (dupes.length) {
-      dedupeReport.push({
-        title,
-        kept: keep.map(k=>k.path),
-        duplicates: dupes.map(d=>d.path),
-        reason: `HAMMING<=${HAMMING_MAX} or JACCARD>=${JACCARD_MIN}`
-      });
+    const sctLabel = isZeroCode(sie.sct) ? NAV_GENERAL_LABEL : (names.sct.get(sie.sct) || sie.sct);
+    let node = child(root, `sct:${sie.sct}`, sctLabel, sctOrder.indexOf(sie.sct));
+    if (!isZeroCode(sie.sc)) {
+      const scKey = `${sie.sct}/${sie.sc}`;
+      node = child(node, `sc:${sie.sc}`, names.sc.get(scKey) || sie.sc, scOrder.indexOf(scKey));
     }
+    if (!isZeroCode(sie.sys)) node = child(node, `sys:${sie.sys}`, names.sys.get(sie.sys) || sie.sys);
+    if (!isZeroCode(sie.comp)) node = child(node, `comp:${sie.comp}`, names.comp.get(sie.comp) || sie.comp);
+    const dgcName = isZeroCode(sie.dgc) ? "" : names.dgc.get(sie.dgc) || "";
+    node.items.push({
+      ...it,
+      sitq: [names.sitq.get(sie.sitq), dgcName !== "NA" && dgcName].filter(Boolean).join(" · "),
+      dgc: entry.dgc
+    });
   }
 
-  navItems.sort((a,b)=> a.title.localeCompare(b.title, undefined, { sensitivity:"base" }));
+  if (other.items.length) root.children.set("other", other);
+  return root;
+}
 
-  await fs.writeFile(
-    path.join(outDir, "_dedupe-report.json"),
-    JSON.stringify({ thresholds: { HAMMING_MAX, JACCARD_MIN }, groups: dedupeReport }, null, 2),
-    "utf8"
+function renderNavTree(node, depth = 0) {
+  const groups = [...node.children.values()].sort((a,b)=>
+    (a.order < 0 ? Infinity : a.order) - (b.order < 0 ? Infinity : b.order) ||
+    a.label.localeCompare(b.label, undefined, { sensitivity:"base" })
   );
+  const indent = "  ".repeat(depth);
+  const out = [];
+  for (const g of groups) {
+    out.push(`${indent}<li class="grp"><details><summary>${escapeHtml(g.label)}<span class="n">${countNavPages(g)}</span></summary><ul>`);
+    out.push(renderNavTree(g, depth + 1));
+    out.push(`${indent}</ul></details></li>`);
+  }
+  for (const p of node.items) {
+    const sitq = p.sitq ? `<span class="sitq">${escapeHtml(p.sitq)}</span>` : "";
+    const dgc = p.dgc?.length ? ` data-dgc="${p.dgc.join(",")}"` : "";
+    out.push(`${indent}<li class="page${p.dup ? " dup" : ""}"><a href="#${encodeURIComponent(p.path)}" data-path="${p.path}" data-dup="${p.dup ? "1" : "0"}" data-title="${escapeHtml(p.title)}"${dgc}>${escapeHtml(p.title)}${sitq}</a></li>`);
+  }
+  return out.join("\n");
+}
 
-  // Write fulltext index
-  await fs.writeFile(path.join(outDir, FT_INDEX_FILE), JSON.stringify(fulltext), "utf8");
-
-  const filteredNavItems = navItems.filter(it => isMeaningfulTitle(it.title));
-
-  await writeIndexFlat(outDir, filteredNavItems);
-  console.log(`✅ Done. Open: ${path.join(outDir, "index.html")}`);
-  console.log(`🔎 Full-text index: ${path.join(outDir, FT_INDEX_FILE)} (${fulltext.length} entries)`);
-  console.log(`ℹ️  Dedupe report: ${path.join(outDir, "_dedupe-report.json")}`);
+function countNavPages(node) {
+  let n = node.items.filter(p => !p.dup).length;
+  for (const c of node.children.values()) n += countNavPages(c);
+  return n;
 }
 
-async function writeIndexFlat(outDir, navItems) {
-  const listHtml = navItems.map(p =>
-    `<li class="page${p.dup ? " dup" : ""}"><a href="#${encodeURIComponent(p.path)}" data-path="${p.path}" data-dup="${p.dup ? "1" : "0"}">${p.title}</a></li>`
-  ).join("\n");
+async function writeIndex(out, navItems, navTree, vehicleData) {
+  const listHtml = renderNavTree(navTree);
 
   const html = `<!doctype html>
 <html lang="en">
 <head>
   <meta charset="utf-8">
-  <title>Honda Accord 7 service manual</title>
+  <title>${APP_NAME}</title>
   <meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1, user-scalable=no, viewport-fit=cover">
+  <link rel="manifest" href="${MANIFEST_FILE}">
+  <link rel="icon" href="${ICON_FILE}" type="image/svg+xml">
+  <meta name="theme-color" content="${THEME_COLOR}">
   <style>
     :root {
       --bg:#0b0c0f; --panel:#111319; --muted:#262a33; --muted-2:#1d2230; --text:#f4f6fb; --sub:#aab2c5; --accent:#0b63ce;
@@ -504,7 +3400,23 @@ async function writeIndexFlat(outDir, navItems) {
 
     .toolbar { display:flex; align-items:center; gap:12px; padding:10px 12px 0; flex-wrap: wrap; }
     .toolbar label { display:flex; align-items:center; gap:8px; font-size:13px; color:var(--sub); user-select:none; cursor:pointer; white-space:nowrap; }
+    .vehicle { padding:10px 12px 0; display:grid; grid-template-columns: 1fr 1fr; gap:6px; }
+    .vehicle select, .vehicle input { width:100%; padding:6px 8px; border-radius:8px; border:1px solid var(--muted); background:#0e1117; color:var(--text); }
+    .vehicle input { grid-column: 1 / -1; text-transform: uppercase; }
+    .vehicle .status { grid-column: 1 / -1; color: var(--sub); font-size: 12px; display:flex; gap:8px; align-items:center; }
+    .vehicle .status a { color: var(--sub); margin-right: 8px; }
+    .vehicle .status button { margin-left:auto; background:none; border:1px solid var(--muted); color:var(--sub); border-radius:8px; padding:0 8px; font-size:12px; cursor:pointer; }
     .search { padding:10px 12px 12px; }
+    .dtc { padding:0 12px 12px; }
+    .dtc input { width:100%; padding:8px 12px; border-radius:10px; border:1px solid var(--muted); background:#0e1117; color:var(--text); text-transform: uppercase; }
+    .dtc-results { margin-top:8px; padding:8px; border:1px solid var(--muted); border-radius:10px; background:var(--muted-2); color:var(--sub); font-size:13px; }
+    .dtc-results ul { list-style:none; padding:0; margin:2px 0 8px; }
+    .dtc-results li a { display:block; padding:4px 6px; border-radius:6px; color:var(--text); text-decoration:none; }
+    .dtc-results li a:hover { background: var(--muted); }
+    .dtc-results li.other a { color: var(--sub); }
+    .dtc-results .sitq { display:block; color: var(--sub); font-size: 11px; }
+    .dtc-results .dtc-h { font-size:12px; text-transform:uppercase; letter-spacing:.04em; }
+    .dtc-results button { margin:2px; padding:2px 8px; border:1px solid var(--muted); border-radius:999px; background:none; color:var(--text); font-size:12px; cursor:pointer; }
     .search input { width:100%; padding:10px 12px; border-radius:10px; border:1px solid var(--muted); background:#0e1117; color:var(--text); font-size:16px; } /* prevent iOS focus zoom */
     input, select, textarea, button { font-size:16px; } /* safety for other controls */
 
@@ -513,11 +3425,68 @@ async function writeIndexFlat(outDir, navItems) {
     nav li.page a { display:block; padding:6px 8px; border-radius:8px; color:var(--text); text-decoration:none; }
     nav li.page a:hover { background: var(--muted); }
     nav li.page.dup a { color: var(--sub); background: var(--muted-2); }
+    nav ul ul { margin:0; padding-left:12px; border-left:1px solid var(--muted); }
+    nav summary { padding:5px 8px; border-radius:8px; cursor:pointer; color:var(--text); user-select:none; }
+    nav summary:hover { background: var(--muted); }
+    nav summary .n { color: var(--sub); font-size: 11px; margin-left: 6px; }
+    nav .sitq { display:block; color: var(--sub); font-size: 11px; }
     nav .count { color: var(--sub); font-size: 12px; padding: 0 12px 8px; }
     .snippet { color: var(--sub); font-size: 12px; padding: 0 8px 8px; margin-top: -4px; white-space: normal; }
     .badge { font-size: 11px; padding: 1px 6px; border:1px solid var(--muted); border-radius: 999px; color: var(--sub); margin-left: 6px; }
+    .badge.fig { border-color: var(--accent); color: var(--text); }
 
     iframe { width:100%; height:100%; border:0; background:#fff; }
+    iframe[hidden] { display:none; }
+    .page-actions { position:absolute; top:8px; right:16px; display:flex; gap:6px; z-index:1; }
+    .page-actions[hidden], .page-actions.off, .page-actions [hidden] { display:none; }
+    .page-actions button, .page-actions a { padding:3px 10px; border:1px solid #c9d3e0; border-radius:999px; background:rgba(255,255,255,.92); color:#0b0c0f; font-size:12px; text-decoration:none; cursor:pointer; }
+    .page-actions button:hover, .page-actions a:hover { background:#eef3fa; }
+
+    .views { display:flex; flex-wrap:wrap; gap:6px; padding:0 12px 10px; }
+    .views button { padding:4px 10px; border:1px solid var(--muted); border-radius:999px; background:none; color:var(--text); font-size:13px; cursor:pointer; }
+    .views button:hover { background: var(--muted); }
+    .view { position:absolute; inset:0; display:flex; flex-direction:column; background:var(--bg); }
+    .view[hidden] { display:none; }
+    .view-head { display:flex; flex-wrap:wrap; align-items:center; gap:8px; padding:12px 16px; border-bottom:1px solid var(--muted); }
+    .view-head h2 { margin:0 8px 0 0; font-size:18px; }
+    .view-head select, .view-head input { padding:6px 8px; border-radius:8px; border:1px solid var(--muted); background:#0e1117; color:var(--text); font-size:14px; }
+    .view-count { color:var(--sub); font-size:12px; }
+    .view-close { margin-left:auto; background:none; border:1px solid var(--muted); color:var(--sub); border-radius:8px; padding:2px 10px; cursor:pointer; }
+    .view-body { flex:1; overflow:auto; padding:0 16px 16px; }
+    table.specs { width:100%; border-collapse:collapse; font-size:13px; }
+    table.specs th { position:sticky; top:0; background:var(--bg); text-align:left; color:var(--sub); font-weight:500; padding:8px 6px; border-bottom:1px solid var(--muted); }
+    table.specs td { padding:6px; border-bottom:1px solid var(--muted-2); vertical-align:top; }
+    table.specs td.num { white-space:nowrap; font-variant-numeric: tabular-nums; }
+    table.specs a { color:#8ab4ff; text-decoration:none; }
+    table.specs td.kind { white-space:nowrap; font-weight:600; font-size:11px; letter-spacing:.05em; }
+    td.kind.warning { color:#ff6b6b; } td.kind.caution { color:#f5c04a; } td.kind.notice { color:#7fb2ff; } td.kind.note { color:var(--sub); }
+    table.specs td ul { margin:0; padding-left:16px; }
+    .update-bar { display:flex; align-items:center; gap:8px; margin:0 12px 10px; padding:6px 10px; border-radius:8px; background:var(--accent); font-size:13px; }
+    .update-bar[hidden] { display:none; }
+    .update-bar button { margin-left:auto; padding:2px 10px; border:0; border-radius:999px; background:#fff; color:#0b0c0f; cursor:pointer; }
+    .off-usage { color:var(--sub); font-size:13px; margin:12px 0; }
+    .off-usage meter { width:200px; vertical-align:middle; margin-left:8px; }
+    table.specs td button { padding:2px 10px; border:1px solid var(--muted); border-radius:999px; background:none; color:var(--text); cursor:pointer; }
+    table.specs td.done { color:#6fcf97; } table.specs td.stale { color:#f5c04a; }
+    .tools-list { list-style:none; margin:0; padding:0; }
+    .tools-list > li { display:flex; gap:12px; padding:10px 0; border-bottom:1px solid var(--muted-2); }
+    .tools-list img { width:96px; height:64px; object-fit:contain; background:#fff; border-radius:6px; flex:none; }
+    .tools-list .tool-no { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; color:var(--sub); font-size:12px; }
+    .tools-list details { margin-top:4px; font-size:13px; }
+    .tools-list summary { cursor:pointer; color:var(--sub); }
+    .tools-list details ul { margin:4px 0 0; padding-left:18px; }
+    .tools-list details a { color:#8ab4ff; text-decoration:none; }
+    .tools-list li.other a { color:var(--sub); }
+    .view-head label { display:flex; align-items:center; gap:6px; color:var(--sub); font-size:13px; white-space:nowrap; }
+    .view-head input[type=number] { width:110px; }
+    .view-head button.act { padding:5px 12px; border:1px solid var(--muted); border-radius:999px; background:none; color:var(--text); font-size:13px; cursor:pointer; }
+    .view-head button.act:hover { background: var(--muted); }
+    .mt-summary { color:var(--sub); font-size:13px; margin:12px 0; }
+    .view-body h3 { font-size:14px; font-weight:600; margin:16px 0 4px; }
+    .view-body h3.overdue { color:#ff6b6b; }
+    table.specs .mt-group { display:block; color:var(--sub); font-size:11px; }
+    table.specs td.cx-id { white-space:nowrap; font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+    table.specs .cx-box { display:block; color:var(--sub); font-size:11px; font-family: system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; }
     .hint { color: var(--sub); padding: 8px 12px; font-size:12px; }
 
     /* Overlay BELOW sidebar */
@@ -578,10 +3547,17 @@ async function writeIndexFlat(outDir, navItems) {
   <div class="app">
     <aside id="sidebar">
       <header>
-        <div class="brand">Honda Accord 7 – service manual</div>
+        <div class="brand">${VEHICLE_NAME} – service manual</div>
         <div class="count" id="count"></div>
       </header>
 
+      <div class="vehicle" id="vehicle">
+        <select id="vehYear" aria-label="Model year"><option value="">All years</option></select>
+        <select id="vehCode" aria-label="Model code"><option value="">All models</option></select>
+        <input id="vehVin" placeholder="or paste VIN (17 characters)" maxlength="17" autocomplete="off" spellcheck="false">
+        <div class="status"><span id="vehStatus">All vehicles</span><span id="vehLinks"></span><button id="vehClear" type="button" hidden>Clear</button></div>
+      </div>
+
       <div class="toolbar">
         <label>
           <input type="checkbox" id="toggleHideDup" checked>
@@ -597,10 +3573,27 @@ async function writeIndexFlat(outDir, navItems) {
         <input id="search" placeholder="Search titles or content (⌘/Ctrl+K)" autocomplete="off">
       </div>
 
+      <div class="update-bar" id="updateBar" hidden>A new version of the manual is available <button type="button">Reload</button></div>
+
+      <div class="views">
+        <button type="button" id="openTorque" data-view="torqueView">Torque specs</button>
+        <button type="button" id="openTools" data-view="toolsView">Special tools</button>
+        <button type="button" id="openSafety" data-view="safetyView">Safety</button>
+        <button type="button" id="openMaintenance" data-view="maintenanceView">Maintenance</button>
+        <button type="button" id="openConnectors" data-view="connectorsView">Connectors</button>
+        <button type="button" id="openOffline" data-view="offlineView">Offline</button>
+      </div>
+
+      <div class="dtc">
+        <input id="dtc" placeholder="DTC lookup, e.g. P0300, B1234, U0100" maxlength="12" autocomplete="off" spellcheck="false">
+        <div id="dtcResults" class="dtc-results" hidden></div>
+      </div>
+
       <nav id="nav">
-        <ul id="flat-list">
+        <ul id="nav-tree" class="tree">
 ${listHtml}
         </ul>
+        <ul id="ft-results" class="results" hidden></ul>
       </nav>
 
       <div class="hint">Tip: Open last page: <a id="resume" href="#">resume reading</a></div>
@@ -608,6 +3601,116 @@ ${listHtml}
 
     <main>
       <iframe id="content" src="about:blank" referrerpolicy="no-referrer"></iframe>
+      <div class="page-actions" id="pageActions" hidden>
+        <button type="button" id="printPage" title="Print this procedure">Print</button>
+        <a id="pdfPage" href="#" download hidden>PDF</a>
+      </div>
+
+      <section id="torqueView" class="view" hidden>
+        <div class="view-head">
+          <h2>Torque specs</h2>
+          <select id="tqSystem" aria-label="System"><option value="">All systems</option></select>
+          <select id="tqComp" aria-label="Component"><option value="">All components</option></select>
+          <select id="tqUnit" aria-label="Units shown" title="Every spec is given in all three units; this only picks the columns shown">
+            <option value="">Show all units</option>
+            <option value="nm">Show N·m only</option>
+            <option value="kgf">Show kgf·m / kgf·cm only</option>
+            <option value="lbf">Show lbf·ft / lbf·in only</option>
+          </select>
+          <input id="tqFilter" type="search" placeholder="Filter fastener or page" autocomplete="off">
+          <span class="view-count" id="tqCount"></span>
+          <button type="button" class="view-close" aria-label="Close">✕</button>
+        </div>
+        <div class="view-body">
+          <table class="specs" id="tqTable"><thead><tr></tr></thead><tbody></tbody></table>
+        </div>
+      </section>
+
+      <section id="toolsView" class="view" hidden>
+        <div class="view-head">
+          <h2>Special tools</h2>
+          <input id="toolFilter" type="search" placeholder="Filter tool name, number or procedure" autocomplete="off">
+          <span class="view-count" id="toolCount"></span>
+          <button type="button" class="view-close" aria-label="Close">✕</button>
+        </div>
+        <div class="view-body">
+          <ul class="tools-list" id="toolList"></ul>
+        </div>
+      </section>
+
+      <section id="safetyView" class="view" hidden>
+        <div class="view-head">
+          <h2>Safety</h2>
+          <select id="sfSystem" aria-label="System"><option value="">All systems</option></select>
+          <select id="sfKind" aria-label="Kind">
+            <option value="">Warnings and cautions</option>
+            <option value="warning">Warnings</option>
+            <option value="caution">Cautions</option>
+            <option value="notice">Notices</option>
+            <option value="note">Notes</option>
+            <option value="all">All</option>
+          </select>
+          <input id="sfFilter" type="search" placeholder="Filter text or page" autocomplete="off">
+          <span class="view-count" id="sfCount"></span>
+          <button type="button" class="view-close" aria-label="Close">✕</button>
+        </div>
+        <div class="view-body">
+          <table class="specs" id="sfTable"><thead><tr><th>Kind</th><th>Text</th><th>Page</th><th>System / component</th></tr></thead><tbody></tbody></table>
+        </div>
+      </section>
+
+      <section id="maintenanceView" class="view" hidden>
+        <div class="view-head">
+          <h2>Maintenance</h2>
+          <select id="mtSchedule" aria-label="Schedule"></select>
+          <label>Odometer <input id="mtOdo" type="number" min="0" step="1000" inputmode="numeric"> <span id="mtUnit">km</span></label>
+          <label>Age <input id="mtAge" type="number" min="0" step="0.5" inputmode="decimal"> years</label>
+          <select id="mtLast" aria-label="Last service done"></select>
+          <button type="button" class="act" id="mtSheet">Job sheet</button>
+          <button type="button" class="act" id="mtExport">Download</button>
+          <span class="view-count" id="mtCount"></span>
+          <button type="button" class="view-close" aria-label="Close">✕</button>
+        </div>
+        <div class="view-body">
+          <p class="mt-summary" id="mtSummary"></p>
+          <h3 class="overdue">Overdue</h3>
+          <table class="specs" id="mtOverdue"><thead><tr><th>Item</th><th>Details</th><th>When</th></tr></thead><tbody></tbody></table>
+          <h3>Due at the next service</h3>
+          <table class="specs" id="mtDue"><thead><tr><th>Item</th><th>Details</th><th>When</th></tr></thead><tbody></tbody></table>
+        </div>
+      </section>
+
+      <section id="connectorsView" class="view" hidden>
+        <div class="view-head">
+          <h2>Connectors and fuses</h2>
+          <select id="cxKind" aria-label="Kind">
+            <option value="">All identifiers</option>
+            <option value="fuse">Fuses</option>
+            <option value="ground">Grounds</option>
+            <option value="connector">Connectors</option>
+            <option value="socket">Fuse/relay box sockets</option>
+            <option value="part">Relays and control units</option>
+          </select>
+          <input id="cxFilter" type="search" placeholder="Fuse number, G201, C101, relay name" autocomplete="off">
+          <span class="view-count" id="cxCount"></span>
+          <button type="button" class="view-close" aria-label="Close">✕</button>
+        </div>
+        <div class="view-body">
+          <table class="specs" id="cxTable"><thead><tr><th>Kind</th><th>Identifier</th><th>Details</th><th>Index / location pages</th><th>Circuit diagrams</th></tr></thead><tbody></tbody></table>
+        </div>
+      </section>
+
+      <section id="offlineView" class="view" hidden>
+        <div class="view-head">
+          <h2>Offline</h2>
+          <span class="view-count" id="offStatus"></span>
+          <button type="button" class="view-close" aria-label="Close">✕</button>
+        </div>
+        <div class="view-body">
+          <p class="off-usage" id="offUsage"></p>
+          <table class="specs" id="offTable"><thead><tr><th>Section</th><th>Pages</th><th>Size</th><th>Status</th><th></th></tr></thead><tbody></tbody></table>
+        </div>
+      </section>
     </main>
   </div>
 
@@ -617,7 +3720,8 @@ ${listHtml}
   <script type="module">
     const navItems = ${JSON.stringify(navItems, null, 2)};
     const nav = document.getElementById('nav');
-    const listEl = document.getElementById('flat-list');
+    const listEl = document.getElementById('nav-tree');
+    const ftList = document.getElementById('ft-results');
     const frame = document.getElementById('content');
     const search = document.getElementById('search');
     const resume = document.getElementById('resume');
@@ -648,21 +3752,47 @@ ${listHtml}
     const savedContent = localStorage.getItem(prefContentKey);
     toggleContent.checked = savedContent === '1';
 
-    count.textContent = navItems.length + " pages";
 
-    function openPath(p) {
-      frame.src = p;
+    // frag ('#anchor', '#find=…') only goes to the frame; the nav, accord:last and the hash get the bare path
+    function openPath(p, frag = '') {
+      frame.src = p + frag;
+      updatePageActions(p);
       localStorage.setItem('accord:last', p);
       if (decodeURIComponent(location.hash.slice(1)) !== p) {
         history.replaceState(null, '', '#' + encodeURIComponent(p));
       }
+      let active = null;
       nav.querySelectorAll('a[data-path]').forEach(a => {
         a.style.background = '';
-        if (a.getAttribute('data-path') === p) a.style.background = 'var(--muted)';
+        if (a.getAttribute('data-path') === p) { a.style.background = 'var(--muted)'; active = active || a; }
       });
+      if (active) {
+        for (let d = active.closest('details'); d; d = d.parentElement.closest('details')) d.open = true;
+        active.scrollIntoView({ block: 'nearest' });
+      }
       if (window.matchMedia('(max-width: 900px)').matches) setSidebar(false);
     }
 
+    // Print / PDF of the open page: procedures have a print-ready copy (<page>${PRINT_SUFFIX}, opened
+    // with #print to print on load) and maybe a PDF; other pages print the frame as it is
+    const printItems = new Map(navItems.filter(it => it.print).map(it => [it.path, it]));
+    const pageActions = document.getElementById('pageActions');
+    const printPage = document.getElementById('printPage');
+    const pdfPage = document.getElementById('pdfPage');
+    let printItem = null;
+
+    function updatePageActions(p) {
+      printItem = printItems.get(p.split('#')[0]) || null;
+      pageActions.hidden = p === 'about:blank';
+      pdfPage.hidden = !printItem?.pdf;
+      if (printItem?.pdf) pdfPage.href = printItem.path.replace(/\.html?$/i, '.pdf');
+    }
+
+    printPage.addEventListener('click', () => {
+      if (printItem) window.open(printItem.path.replace(/\.html?$/i, '${PRINT_SUFFIX}') + '#print', '_blank');
+      else frame.contentWindow?.print();
+    });
+
     function handleHash() {
       const h = decodeURIComponent(location.hash.slice(1));
       if (h) openPath(h);
@@ -688,22 +3818,920 @@ ${listHtml}
       const anchors = listEl.querySelectorAll('li.page a');
       for (let i = 0; i < anchors.length; i++) {
         const a = anchors[i];
+        const groups = [];
+        for (let g = a.parentElement.parentElement.closest('li.grp'); g; g = g.parentElement.closest('li.grp')) groups.push(g);
         arr.push({
-          title: (a.textContent || '').toLowerCase(),
+          title: (a.getAttribute('data-title') || a.textContent || '').toLowerCase(),
           el: a.parentElement,
           isDup: a.getAttribute('data-dup') === '1',
-          path: a.getAttribute('data-path')
+          path: a.getAttribute('data-path'),
+          dgc: (a.getAttribute('data-dgc') || '').split(',').filter(Boolean),
+          groups
         });
       }
       return arr;
     })();
 
+    // ----- Vehicle filter (replaces legacy ESMSELCT/MODELINFO selector) -----
+    const vehicles = ${JSON.stringify(vehicleData)};
+    const prefVehicleKey = 'accord:vehicle';
+    const vehYear = document.getElementById('vehYear');
+    const vehCode = document.getElementById('vehCode');
+    const vehVin = document.getElementById('vehVin');
+    const vehStatus = document.getElementById('vehStatus');
+    const vehClear = document.getElementById('vehClear');
+    const vehLinks = document.getElementById('vehLinks');
+    let vehicleDgc = null; // Set of applicable dgc codes; null = show everything
+
+    function fitsVehicle(it) {
+      if (!vehicleDgc || !it.dgc.length) return true;
+      return it.dgc.some(c => c === vehicles.universal || vehicleDgc.has(c));
+    }
+
+    // VIN matches a start_vin on everything but check digit (9) and serial (12-17);
+    // the range starting at the highest serial <= the VIN's serial wins.
+    function resolveVin(vin) {
+      if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(vin)) return null;
+      let best = null;
+      for (const m of vehicles.models) {
+        const s = m[0];
+        if (s.slice(0, 8) !== vin.slice(0, 8) || s.slice(9, 11) !== vin.slice(9, 11)) continue;
+        if (vin.slice(11) < s.slice(11)) continue;
+        if (!best || s.slice(11) > best[0].slice(11)) best = m;
+      }
+      return best;
+    }
+
+    function fillSelect(sel, values, allLabel) {
+      const cur = sel.value;
+      sel.innerHTML = '';
+      sel.append(new Option(allLabel, ''));
+      for (const v of values) sel.append(new Option(v, v));
+      sel.value = values.includes(cur) ? cur : '';
+    }
+
+    function refreshCodes() {
+      const codes = new Set(vehicles.models.filter(m => !vehYear.value || m[2] === vehYear.value).map(m => m[1]));
+      fillSelect(vehCode, [...codes].sort(), 'All models');
+    }
+
+    function applyVehicle(v, persist = true) {
+      v = v || {};
+      vehYear.value = v.year || '';
+      refreshCodes();
+      vehCode.value = v.code || '';
+      vehVin.value = v.vin || '';
+
+      let matched = [];
+      if (v.vin) {
+        const m = resolveVin(v.vin);
+        if (m) { matched = [m]; vehYear.value = m[2]; refreshCodes(); vehCode.value = m[1]; }
+      } else if (v.year || v.code) {
+        matched = vehicles.models.filter(m => (!v.year || m[2] === v.year) && (!v.code || m[1] === v.code));
+      }
+
+      vehicleDgc = matched.length ? new Set(matched.flatMap(m => vehicles.dgcLists[m[3]])) : null;
+      if (v.vin && !matched.length) vehStatus.textContent = 'VIN not recognised – showing all vehicles';
+      else if (vehicleDgc) vehStatus.textContent = (v.vin ? 'VIN → ' : '') + [vehCode.value || 'All models', vehYear.value || 'all years'].join(' ');
+      else vehStatus.textContent = 'All vehicles';
+      vehClear.hidden = !(v.year || v.code || v.vin);
+      vehLinks.replaceChildren(...(vehicles.lists[vehCode.value + '_' + vehYear.value] || []).map(([label, p]) => {
+        const a = document.createElement('a');
+        a.href = '#' + encodeURIComponent(p);
+        a.textContent = label;
+        a.addEventListener('click', (e) => { e.preventDefault(); openPath(p); });
+        return a;
+      }));
+
+      if (persist) {
+        if (v.year || v.code || v.vin) localStorage.setItem(prefVehicleKey, JSON.stringify({ year: v.year || '', code: v.code || '', vin: v.vin || '' }));
+        else localStorage.removeItem(prefVehicleKey);
+      }
+      const shown = items.filter(fitsVehicle).length;
+      count.textContent = vehicleDgc ? shown + " / " + navItems.length + " pages" : navItems.length + " pages";
+    }
+
+    fillSelect(vehYear, [...new Set(vehicles.models.map(m => m[2]))].sort(), 'All years');
+    try { applyVehicle(JSON.parse(localStorage.getItem(prefVehicleKey) || 'null'), false); }
+    catch { applyVehicle(null, false); }
+
+    vehYear.addEventListener('change', () => { applyVehicle({ year: vehYear.value, code: vehCode.value }); requestFilter(); });
+    vehCode.addEventListener('change', () => { applyVehicle({ year: vehYear.value, code: vehCode.value }); requestFilter(); });
+    vehVin.addEventListener('input', () => {
+      const vin = vehVin.value.trim().toUpperCase();
+      if (vin.length === 17) { applyVehicle({ vin }); requestFilter(); }
+      else if (!vin) { applyVehicle({ year: vehYear.value, code: vehCode.value }); requestFilter(); }
+    });
+    vehClear.addEventListener('click', () => { applyVehicle(null); requestFilter(); });
+
+    // ----- Tree groups: hide empty ones, expand matches while searching -----
+    const groupEls = Array.from(listEl.querySelectorAll('li.grp'));
+    let openSnapshot = null;
+
+    function syncGroups(searching) {
+      const visible = new Map();
+      for (const it of items) {
+        if (it.el.style.display === 'none') continue;
+        for (const g of it.groups) visible.set(g, (visible.get(g) || 0) + 1);
+      }
+      if (searching && !openSnapshot) openSnapshot = groupEls.map(g => g.firstElementChild.open);
+      groupEls.forEach((g, i) => {
+        const n = visible.get(g) || 0;
+        g.style.display = n ? '' : 'none';
+        if (searching) g.firstElementChild.open = n > 0;
+        else if (openSnapshot) g.firstElementChild.open = openSnapshot[i];
+      });
+      if (!searching) openSnapshot = null;
+    }
+
+    // ----- Build-time data files (_dtc.json, _torque.json, ...) -----
+    async function loadJson(file, fallback, cache = 'force-cache') {
+      try {
+        const res = await fetch(file, { cache });
+        return await res.json();
+      } catch (e) {
+        console.error('Load failed', file, e);
+        return fallback;
+      }
+    }
+
+    // ----- DTC lookup -----
+    const dtcInput = document.getElementById('dtc');
+    const dtcResults = document.getElementById('dtcResults');
+    let dtcIndex = null; // { codes, pages, dgc }
+    let dtcTimer = null;
+
+    async function ensureDtcLoaded() {
+      dtcIndex ||= await loadJson('${DTC_INDEX_FILE}', { codes: {}, pages: [], dgc: {} });
+    }
+
+    function dtcLink(page) {
+      const a = pageLink(page.t, page.p);
+      const applies = page.dgc.filter(c => c !== vehicles.universal).map(c => dtcIndex.dgc[c] || c);
+      if (applies.length) {
+        const s = document.createElement('span');
+        s.className = 'sitq';
+        s.textContent = applies.join(' · ');
+        a.appendChild(s);
+      }
+      return a;
+    }
+
+    // Troubleshooting procedures first, then pages that only mention the code;
+    // pages for the selected vehicle before the rest.
+    function renderDtc() {
+      const q = dtcInput.value.toUpperCase().replace(/^DTC/, '').replace(/[^0-9A-Z]/g, '');
+      dtcResults.replaceChildren();
+      dtcResults.hidden = !q;
+      if (!q) return;
+
+      const hideDup = !!toggleHideDup.checked;
+      const codes = Object.keys(dtcIndex.codes).filter(c => c.startsWith(q));
+      if (!codes.length) { dtcResults.textContent = 'No pages for ' + q; return; }
+      if (codes.length > 1 || codes[0] !== q) {
+        for (const c of codes.slice(0, 60)) {
+          const b = document.createElement('button');
+          b.type = 'button';
+          b.textContent = c;
+          b.addEventListener('click', () => { dtcInput.value = c; renderDtc(); });
+          dtcResults.appendChild(b);
+        }
+        if (codes.length > 60) dtcResults.append(' …');
+        return;
+      }
+
+      const fits = (page) => fitsVehicle({ dgc: page.dgc });
+      const refs = dtcIndex.codes[q]
+        .map(([i, main]) => ({ page: dtcIndex.pages[i], main }))
+        .filter(r => !hideDup || !r.page.dup)
+        .sort((a, b) => b.main - a.main || fits(b.page) - fits(a.page));
+      for (const [label, main] of [['Troubleshooting', 1], ['Also mentioned in', 0]]) {
+        const group = refs.filter(r => r.main === main);
+        if (!group.length) continue;
+        const h = document.createElement('div');
+        h.className = 'dtc-h';
+        h.textContent = label + ' (' + group.length + ')';
+        const ul = document.createElement('ul');
+        for (const r of group) {
+          const li = document.createElement('li');
+          li.className = 'page' + (fits(r.page) ? '' : ' other');
+          li.appendChild(dtcLink(r.page));
+          ul.appendChild(li);
+        }
+        dtcResults.append(h, ul);
+      }
+    }
+
+    dtcInput.addEventListener('input', () => {
+      if (dtcTimer) clearTimeout(dtcTimer);
+      dtcTimer = setTimeout(async () => { await ensureDtcLoaded(); renderDtc(); }, 150);
+    });
+    dtcInput.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      const first = dtcResults.querySelector('a, button');
+      if (first) first.click();
+    });
+    toggleHideDup.addEventListener('change', () => { if (dtcIndex) renderDtc(); });
+
+    // ----- Views over build-time data (torque specs, ...) shown in place of the page -----
+    const views = document.querySelectorAll('main .view');
+    function showView(id) {
+      views.forEach(v => { v.hidden = v.id !== id; });
+      frame.hidden = !!id;
+      pageActions.classList.toggle('off', !!id);
+      if (id && window.matchMedia('(max-width: 900px)').matches) setSidebar(false);
+    }
+    document.querySelectorAll('[data-view]').forEach(b => b.addEventListener('click', () => showView(b.dataset.view)));
+    views.forEach(v => v.querySelector('.view-close')?.addEventListener('click', () => showView(null)));
+
+    // Link that closes the view and opens page p (at frag)
+    function pageLink(text, p, frag = '') {
+      const a = document.createElement('a');
+      a.href = '#' + encodeURIComponent(p);
+      a.textContent = text;
+      a.addEventListener('click', (e) => { e.preventDefault(); showView(null); openPath(p, frag); });
+      return a;
+    }
+
+    // A vehicle change re-renders the DTC results and whichever view is open
+    const viewRenderers = new Map(); // view element -> render function
+    function vehicleChanged() {
+      if (dtcIndex) renderDtc();
+      for (const [view, render] of viewRenderers) if (!view.hidden) render();
+    }
+    for (const t of ['change', 'input']) document.getElementById('vehicle').addEventListener(t, vehicleChanged);
+    vehClear.addEventListener('click', vehicleChanged);
+
+    function fillOptions(select, values, allLabel) {
+      const keep = select.value;
+      select.replaceChildren(new Option(allLabel, ''), ...values.map(v => new Option(v, v)));
+      select.value = values.includes(keep) ? keep : '';
+    }
+
+    // ----- Torque specs -----
+    const tqView = document.getElementById('torqueView');
+    const tqSystem = document.getElementById('tqSystem');
+    const tqComp = document.getElementById('tqComp');
+    const tqUnit = document.getElementById('tqUnit');
+    const tqFilter = document.getElementById('tqFilter');
+    const tqBody = document.querySelector('#tqTable tbody');
+    const tqHead = document.querySelector('#tqTable thead tr');
+    const tqCount = document.getElementById('tqCount');
+    const TQ_MAX_ROWS = 500;
+    let torque = null; // { pages, specs }
+
+    async function ensureTorqueLoaded() {
+      if (torque) return;
+      torque = await loadJson('${TORQUE_FILE}', { pages: [], specs: [] });
+      const systems = [...new Set(torque.pages.map(p => p.system).filter(Boolean))].sort();
+      fillOptions(tqSystem, systems, 'All systems');
+    }
+
+    function renderTorque() {
+      if (!torque) return;
+      const sys = tqSystem.value;
+      fillOptions(tqComp, [...new Set(torque.pages.filter(p => !sys || p.system === sys).map(p => p.component).filter(Boolean))].sort(), 'All components');
+      const comp = tqComp.value;
+      const unit = tqUnit.value;
+      const q = tqFilter.value.trim().toLowerCase();
+
+      const cols = { nm: 'N·m', kgf: 'kgf', lbf: 'lbf' };
+      const shown = unit ? [unit] : Object.keys(cols);
+      tqHead.replaceChildren(...[...shown.map(u => cols[u]), 'Fastener / step', 'Page', 'System / component'].map(t => {
+        const th = document.createElement('th'); th.textContent = t; return th;
+      }));
+
+      const rows = torque.specs.filter(([pi, , , , ctx]) => {
+        const page = torque.pages[pi];
+        if ((sys && page.system !== sys) || (comp && page.component !== comp)) return false;
+        if (!fitsVehicle({ dgc: page.dgc })) return false;
+        return !q || ctx.toLowerCase().includes(q) || page.t.toLowerCase().includes(q);
+      });
+      tqCount.textContent = rows.length > TQ_MAX_ROWS ? TQ_MAX_ROWS + ' of ' + rows.length : rows.length + ' specs';
+      tqBody.replaceChildren(...rows.slice(0, TQ_MAX_ROWS).map(([pi, nm, kgf, lbf, ctx, ref]) => {
+        const page = torque.pages[pi];
+        const tr = document.createElement('tr');
+        const vals = { nm, kgf: kgf.replace(' kgf·', ' '), lbf: lbf.replace(' lbf·', ' ') };
+        for (const u of shown) {
+          const td = tr.insertCell();
+          td.className = 'num';
+          td.textContent = vals[u];
+        }
+        tr.insertCell().textContent = ctx || '(figure callout)';
+        const where = tr.insertCell();
+        where.appendChild(pageLink(page.t, page.p, ref ? '#' + ref : ''));
+        if (ref && !/^i/.test(ref)) {
+          const b = document.createElement('span');
+          b.className = 'badge fig';
+          b.textContent = 'figure';
+          where.appendChild(b);
+        }
+        tr.insertCell().textContent = [page.system, page.component].filter(Boolean).join(' › ');
+        return tr;
+      }));
+    }
+
+    document.getElementById('openTorque').addEventListener('click', async () => { await ensureTorqueLoaded(); renderTorque(); });
+    tqSystem.addEventListener('change', () => { tqComp.value = ''; renderTorque(); });
+    tqComp.addEventListener('change', renderTorque);
+    tqUnit.addEventListener('change', renderTorque);
+    tqFilter.addEventListener('input', renderTorque);
+    viewRenderers.set(tqView, renderTorque);
+
+    // ----- Special tools -----
+    const toolsView = document.getElementById('toolsView');
+    const toolFilter = document.getElementById('toolFilter');
+    const toolList = document.getElementById('toolList');
+    const toolCount = document.getElementById('toolCount');
+    let toolsCatalog = null; // { pages, tools }
+
+    async function ensureToolsLoaded() {
+      toolsCatalog ||= await loadJson('${TOOLS_FILE}', { pages: [], tools: [] });
+    }
+
+    function renderTools() {
+      if (!toolsCatalog) return;
+      const q = toolFilter.value.trim().toLowerCase();
+      const { pages } = toolsCatalog;
+      const rows = [];
+      for (const tool of toolsCatalog.tools) {
+        // Procedures for the selected vehicle first; procedures that only mention the number last
+        const uses = tool.uses.map(([pi, listed]) => ({ page: pages[pi], listed, fits: fitsVehicle({ dgc: pages[pi].dgc }) }))
+          .sort((a, b) => (b.fits - a.fits) || (b.listed - a.listed));
+        const text = (tool.no + ' ' + tool.alt.join(' ') + ' ' + tool.name).toLowerCase();
+        if (q && !text.includes(q) && !uses.some(u => u.page.t.toLowerCase().includes(q))) continue;
+        rows.push({ tool, uses });
+      }
+      toolCount.textContent = rows.length + ' tools';
+      toolList.replaceChildren(...rows.map(({ tool, uses }) => {
+        const li = document.createElement('li');
+        if (tool.img) {
+          const img = document.createElement('img');
+          img.loading = 'lazy';
+          img.alt = '';
+          img.src = tool.img;
+          li.appendChild(img);
+        }
+        const body = document.createElement('div');
+        const name = document.createElement('div');
+        name.textContent = tool.name || 'Special tool';
+        const no = document.createElement('div');
+        no.className = 'tool-no';
+        no.textContent = tool.no + (tool.alt.length ? ' (or ' + tool.alt.join(', ') + ')' : '');
+        const det = document.createElement('details');
+        const sum = document.createElement('summary');
+        const fitting = uses.filter(u => u.fits).length;
+        sum.textContent = uses.length + (uses.length === 1 ? ' procedure' : ' procedures') + (fitting !== uses.length ? ' (' + fitting + ' for this vehicle)' : '');
+        const ul = document.createElement('ul');
+        ul.append(...uses.map(u => {
+          const item = document.createElement('li');
+          if (!u.fits) item.className = 'other';
+          item.appendChild(pageLink(u.page.t, u.page.p));
+          if (!u.listed) item.append(' (mentioned)');
+          return item;
+        }));
+        det.append(sum, ul);
+        if (q && uses.some(u => u.page.t.toLowerCase().includes(q))) det.open = true;
+        body.append(name, no, det);
+        li.appendChild(body);
+        return li;
+      }));
+    }
+
+    document.getElementById('openTools').addEventListener('click', async () => { await ensureToolsLoaded(); renderTools(); });
+    toolFilter.addEventListener('input', renderTools);
+    viewRenderers.set(toolsView, renderTools);
+
+    // ----- Safety notes -----
+    const safetyView = document.getElementById('safetyView');
+    const sfSystem = document.getElementById('sfSystem');
+    const sfKind = document.getElementById('sfKind');
+    const sfFilter = document.getElementById('sfFilter');
+    const sfBody = document.querySelector('#sfTable tbody');
+    const sfCount = document.getElementById('sfCount');
+    const SF_MAX_ROWS = 500;
+    let safety = null; // { pages, notes }
+
+    async function ensureSafetyLoaded() {
+      if (safety) return;
+      safety = await loadJson('${SAFETY_FILE}', { pages: [], notes: [] });
+      fillOptions(sfSystem, [...new Set(safety.pages.map(p => p.system).filter(Boolean))].sort(), 'All systems');
+    }
+
+    function renderSafety() {
+      if (!safety) return;
+      const sys = sfSystem.value;
+      const kind = sfKind.value;
+      const q = sfFilter.value.trim().toLowerCase();
+      const rows = safety.notes.filter(([pi, k, , items]) => {
+        const page = safety.pages[pi];
+        if (kind === '' ? (k !== 'warning' && k !== 'caution') : (kind !== 'all' && k !== kind)) return false;
+        if (sys && page.system !== sys) return false;
+        if (!fitsVehicle({ dgc: page.dgc })) return false;
+        return !q || items.some(t => t.toLowerCase().includes(q)) || page.t.toLowerCase().includes(q);
+      });
+      sfCount.textContent = rows.length > SF_MAX_ROWS ? SF_MAX_ROWS + ' of ' + rows.length : rows.length + ' notes';
+      sfBody.replaceChildren(...rows.slice(0, SF_MAX_ROWS).map(([pi, k, id, items]) => {
+        const page = safety.pages[pi];
+        const tr = document.createElement('tr');
+        const kd = tr.insertCell();
+        kd.className = 'kind ' + k;
+        kd.textContent = k.toUpperCase();
+        const text = tr.insertCell();
+        if (items.length > 1) {
+          const ul = document.createElement('ul');
+          ul.append(...items.map(t => { const li = document.createElement('li'); li.textContent = t; return li; }));
+          text.appendChild(ul);
+        } else {
+          text.textContent = items[0];
+        }
+        tr.insertCell().appendChild(pageLink(page.t, page.p, '#' + id));
+        tr.insertCell().textContent = [page.system, page.component].filter(Boolean).join(' › ');
+        return tr;
+      }));
+    }
+
+    document.getElementById('openSafety').addEventListener('click', async () => { await ensureSafetyLoaded(); renderSafety(); });
+    sfSystem.addEventListener('change', renderSafety);
+    sfKind.addEventListener('change', renderSafety);
+    sfFilter.addEventListener('input', renderSafety);
+    viewRenderers.set(safetyView, renderSafety);
+
+    // ----- Maintenance planner -----
+    const mtView = document.getElementById('maintenanceView');
+    const mtSchedule = document.getElementById('mtSchedule');
+    const mtOdo = document.getElementById('mtOdo');
+    const mtAge = document.getElementById('mtAge');
+    const mtLast = document.getElementById('mtLast');
+    const mtUnit = document.getElementById('mtUnit');
+    const mtSummary = document.getElementById('mtSummary');
+    const mtCount = document.getElementById('mtCount');
+    const mtOverdue = document.querySelector('#mtOverdue tbody');
+    const mtDue = document.querySelector('#mtDue tbody');
+    const prefMaintenanceKey = 'accord:maintenance'; // { schedule, odo, age, last }
+    let maintenance = null; // { schedules }
+
+    async function ensureMaintenanceLoaded() {
+      if (maintenance) return;
+      maintenance = await loadJson('${MAINTENANCE_FILE}', { schedules: [] });
+      let saved = {};
+      try { saved = JSON.parse(localStorage.getItem(prefMaintenanceKey) || '{}'); } catch {}
+      mtOdo.value = saved.odo ?? '';
+      mtAge.value = saved.age ?? '';
+      mtSchedule.dataset.saved = saved.schedule ?? '';
+      mtLast.dataset.saved = saved.last ?? '';
+    }
+
+    function formatDist(d, unit) { return d.toLocaleString('en') + ' ' + unit; }
+    function formatMonths(m) {
+      m = Math.round(m);
+      if (m % 12) return m + (m === 1 ? ' month' : ' months');
+      return m / 12 + (m === 12 ? ' year' : ' years');
+    }
+    function pointLabel(p, unit) { return formatDist(p.d, unit) + ' (' + formatMonths(p.y * 12) + ')'; }
+
+    // Occurrences of a recurring item by distance (key 'd') or age in months (key 'm')
+    function ruleCount(rule, key, value) {
+      const every = rule.every[key];
+      if (every === undefined) return 0;
+      const first = rule.at && rule.at[key] !== undefined ? rule.at[key] : every;
+      return value < first ? 0 : 1 + Math.floor((value - first) / every);
+    }
+
+    // Service points are reached at their distance or age, whichever comes first. Everything up to
+    // the last service done (default: the last point reached) counts as done; items of later
+    // reached points and recurring items that came due since are overdue, the next point's items
+    // and recurring items that come due by then are due.
+    function planMaintenance(sch, odo, months, lastIdx) {
+      const reached = (p) => odo >= p.d || months >= p.y * 12;
+      const nextIdx = sch.points.findIndex(p => !reached(p));
+      const reachedCount = nextIdx < 0 ? sch.points.length : nextIdx;
+      const last = lastIdx === null ? reachedCount - 1 : Math.min(lastIdx, reachedCount - 1);
+      const lastPoint = sch.points[last] || null;
+      const next = nextIdx < 0 ? null : sch.points[nextIdx];
+      const overdue = new Map(); // item index -> [when]
+      const due = new Map();
+      const add = (list, i, when) => { if (!list.has(i)) list.set(i, []); list.get(i).push(when); };
+
+      for (let k = last + 1; k < reachedCount; k++) {
+        for (const i of sch.points[k].items) add(overdue, i, pointLabel(sch.points[k], sch.unit) + ' service');
+      }
+      if (next) for (const i of next.items) add(due, i, pointLabel(next, sch.unit) + ' service');
+
+      for (const rule of sch.rules) {
+        const count = (d, m) => Math.max(ruleCount(rule, 'd', d), ruleCount(rule, 'm', m));
+        const now = count(odo, months);
+        const done = lastPoint ? count(lastPoint.d, lastPoint.y * 12) : 0;
+        if (now > done) {
+          for (const i of rule.items) add(overdue, i, rule.text);
+          continue;
+        }
+        // The next occurrence not covered by the last service, by distance and by age
+        const at = (key) => {
+          const every = rule.every[key];
+          if (every === undefined) return Infinity;
+          return (rule.at && rule.at[key] !== undefined ? rule.at[key] : every) + done * every;
+        };
+        const d = at('d');
+        const m = at('m');
+        if (!next || (d > next.d && m > next.y * 12)) continue;
+        const when = [isFinite(d) && formatDist(d, sch.unit), isFinite(m) && formatMonths(m)].filter(Boolean).join(' or ');
+        for (const i of rule.items) add(due, i, rule.text + ' (next at ' + when + ')');
+      }
+      return { next, lastPoint, overdue, due };
+    }
+
+    function maintenanceInputs() {
+      const sch = maintenance.schedules[mtSchedule.value];
+      const odo = Math.max(0, Number(mtOdo.value) || 0);
+      const age = Math.max(0, Number(mtAge.value) || 0);
+      const last = mtLast.value === '' ? null : Number(mtLast.value);
+      return { sch, odo, age, last };
+    }
+
+    function itemLink(text, p) {
+      return p ? pageLink(text, p) : document.createTextNode(text);
+    }
+
+    function maintenanceRows(sch, list) {
+      return [...list].map(([i, when]) => {
+        const item = sch.items[i];
+        const tr = document.createElement('tr');
+        const name = tr.insertCell();
+        name.appendChild(itemLink(item.t, item.p));
+        if (item.g !== undefined) {
+          const g = document.createElement('span');
+          g.className = 'mt-group';
+          g.textContent = sch.items[item.g].t;
+          name.appendChild(g);
+        }
+        const det = tr.insertCell();
+        if (item.d.length) {
+          const ul = document.createElement('ul');
+          ul.append(...item.d.map(([text, p]) => { const li = document.createElement('li'); li.appendChild(itemLink(text, p)); return li; }));
+          det.appendChild(ul);
+        }
+        tr.insertCell().textContent = when.join('; ');
+        return tr;
+      });
+    }
+
+    function renderMaintenance() {
+      if (!maintenance) return;
+      const fitting = maintenance.schedules.map((sch, i) => ({ sch, i })).filter(({ sch }) => fitsVehicle({ dgc: sch.dgc }));
+      const keep = mtSchedule.value || mtSchedule.dataset.saved;
+      mtSchedule.replaceChildren(...fitting.map(({ sch, i }) => {
+        const twin = fitting.some(o => o.sch !== sch && o.sch.title === sch.title && o.sch.unit === sch.unit);
+        return new Option(sch.title + ' (' + sch.unit + ')' + (twin && sch.dgc.length ? ' · ' + sch.dgc.join(', ') : ''), String(i));
+      }));
+      if (fitting.some(({ i }) => String(i) === keep)) mtSchedule.value = keep;
+      mtSchedule.dataset.saved = '';
+
+      const { sch, odo, age, last } = maintenanceInputs();
+      if (!sch) {
+        mtSummary.textContent = 'No maintenance schedule for this vehicle';
+        mtCount.textContent = '';
+        mtOverdue.replaceChildren();
+        mtDue.replaceChildren();
+        return;
+      }
+      mtUnit.textContent = sch.unit;
+      const keepLast = mtLast.dataset.saved || mtLast.value;
+      mtLast.replaceChildren(
+        new Option('Last service: the last one due', ''),
+        new Option('Last service: none yet', '-1'),
+        ...sch.points.map((p, k) => new Option('Last service: ' + pointLabel(p, sch.unit), String(k)))
+      );
+      mtLast.value = [...mtLast.options].some(o => o.value === keepLast) ? keepLast : '';
+      mtLast.dataset.saved = '';
+      localStorage.setItem(prefMaintenanceKey, JSON.stringify({ schedule: mtSchedule.value, odo: mtOdo.value, age: mtAge.value, last: mtLast.value }));
+
+      const plan = planMaintenance(sch, odo, age * 12, last);
+      mtSummary.textContent = plan.next
+        ? 'Next service: ' + pointLabel(plan.next, sch.unit) + ', in ' + formatDist(Math.max(0, plan.next.d - odo), sch.unit) +
+          ' or ' + formatMonths(Math.max(0, plan.next.y * 12 - age * 12)) + ', whichever comes first.'
+        : 'All ' + sch.points.length + ' scheduled services are behind this vehicle; continue with the recurring items.';
+      mtCount.textContent = plan.overdue.size + ' overdue, ' + plan.due.size + ' due';
+      mtOverdue.replaceChildren(...maintenanceRows(sch, plan.overdue));
+      mtDue.replaceChildren(...maintenanceRows(sch, plan.due));
+    }
+
+    // Stand-alone printable job sheet; links point back into this manual
+    function jobSheetHtml() {
+      const { sch, odo, age, last } = maintenanceInputs();
+      const plan = planMaintenance(sch, odo, age * 12, last);
+      const esc = (s) => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+      const link = (text, p) => p ? '<a href="' + esc(new URL(p, location.href).href) + '">' + esc(text) + '</a>' : esc(text);
+      const rows = (list) => [...list].map(([i, when]) => {
+        const item = sch.items[i];
+        const group = item.g !== undefined ? '<div class="group">' + esc(sch.items[item.g].t) + '</div>' : '';
+        const det = item.d.length ? '<ul>' + item.d.map(([text, p]) => '<li>' + link(text, p) + '</li>').join('') + '</ul>' : '';
+        return '<tr><td class="box"></td><td>' + link(item.t, item.p) + group + det + '</td><td>' + esc(when.join('; ')) + '</td><td></td></tr>';
+      }).join('');
+      const table = (title, list) => list.size
+        ? '<h2>' + title + '</h2><table><thead><tr><th>Done</th><th>Item</th><th>When</th><th>Notes</th></tr></thead><tbody>' + rows(list) + '</tbody></table>'
+        : '';
+      const facts = [
+        ['Schedule', sch.title + ' (' + sch.unit + ')'],
+        ['Vehicle', vehStatus.textContent],
+        ['Odometer', formatDist(odo, sch.unit)],
+        ['Age', age + (age === 1 ? ' year' : ' years')],
+        ['Last service', plan.lastPoint ? pointLabel(plan.lastPoint, sch.unit) : 'none'],
+        ['Next service', plan.next ? pointLabel(plan.next, sch.unit) : '-'],
+        ['Date', new Date().toLocaleDateString()]
+      ];
+      return '<!doctype html><html lang="en"><head><meta charset="utf-8"><title>Job sheet – ' + esc(sch.title) + '</title><style>' +
+        'body { font: 13px/1.4 system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; color:#111; margin:24px; }' +
+        'h1 { font-size:20px; margin:0 0 8px; } h2 { font-size:15px; margin:18px 0 6px; }' +
+        'dl { display:grid; grid-template-columns:max-content 1fr; gap:2px 12px; margin:0; } dt { color:#555; } dd { margin:0; }' +
+        'table { width:100%; border-collapse:collapse; } th, td { border:1px solid #999; padding:4px 6px; text-align:left; vertical-align:top; }' +
+        'td.box { width:28px; } td:last-child { width:22%; } ul { margin:2px 0 0; padding-left:18px; color:#333; }' +
+        '.group { color:#555; font-size:11px; } a { color:inherit; } .sign { margin-top:32px; display:flex; gap:48px; }' +
+        '.sign div { flex:1; border-top:1px solid #111; padding-top:4px; color:#555; } button { margin-bottom:12px; }' +
+        '@media print { button { display:none; } body { margin:0; } tr { break-inside:avoid; } }' +
+        '</style></head><body><button type="button" onclick="print()">Print</button><h1>Maintenance job sheet</h1><dl>' +
+        facts.map(([k, v]) => '<dt>' + k + '</dt><dd>' + esc(v) + '</dd>').join('') + '</dl>' +
+        table('Overdue', plan.overdue) + table('Due at the next service', plan.due) +
+        (plan.overdue.size || plan.due.size ? '' : '<p>Nothing due.</p>') +
+        '<div class="sign"><div>Technician</div><div>Date</div><div>Odometer at completion</div></div></body></html>';
+    }
+
+    function jobSheetUrl() {
+      return URL.createObjectURL(new Blob([jobSheetHtml()], { type: 'text/html' }));
+    }
+
+    document.getElementById('openMaintenance').addEventListener('click', async () => { await ensureMaintenanceLoaded(); renderMaintenance(); });
+    for (const el of [mtSchedule, mtLast]) el.addEventListener('change', renderMaintenance);
+    for (const el of [mtOdo, mtAge]) el.addEventListener('input', renderMaintenance);
+    document.getElementById('mtSheet').addEventListener('click', () => {
+      if (!maintenanceInputs().sch) return;
+      const url = jobSheetUrl();
+      const win = window.open(url, '_blank');
+      if (win) win.addEventListener('load', () => URL.revokeObjectURL(url), { once: true });
+      else URL.revokeObjectURL(url);
+    });
+    document.getElementById('mtExport').addEventListener('click', () => {
+      const { sch, odo } = maintenanceInputs();
+      if (!sch) return;
+      const a = document.createElement('a');
+      a.href = jobSheetUrl();
+      a.download = 'job-sheet-' + odo + sch.unit + '.html';
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    });
+    viewRenderers.set(mtView, renderMaintenance);
+
+    // ----- Connector / fuse lookup -----
+    const cxView = document.getElementById('connectorsView');
+    const cxKind = document.getElementById('cxKind');
+    const cxFilter = document.getElementById('cxFilter');
+    const cxBody = document.querySelector('#cxTable tbody');
+    const cxCount = document.getElementById('cxCount');
+    const CX_MAX_ROWS = 300;
+    const CX_KINDS = { fuse: 'Fuse', ground: 'Ground', connector: 'Connector', socket: 'Socket', part: 'Relay / unit' };
+    let connectors = null; // { labels, pages, ids }
+
+    async function ensureConnectorsLoaded() {
+      connectors ||= await loadJson('${CONNECTORS_FILE}', { labels: {}, pages: [], ids: [] });
+    }
+
+    function idKey(s) { return s.toUpperCase().replace(/[^A-Z0-9]/g, ''); }
+
+    function cxList(items) {
+      const ul = document.createElement('ul');
+      ul.append(...items.map(el => { const li = document.createElement('li'); li.append(el); return li; }));
+      return ul;
+    }
+
+    function renderConnectors() {
+      if (!connectors) return;
+      const { labels, pages } = connectors;
+      const kind = cxKind.value;
+      const q = cxFilter.value.trim().toLowerCase();
+      const qk = idKey(q);
+      const rows = [];
+      for (const e of connectors.ids) {
+        if (kind && e.k !== kind) continue;
+        const refs = e.refs.filter(([pi]) => fitsVehicle({ dgc: pages[pi].dgc }));
+        const sheets = e.sheets.filter(([pi]) => fitsVehicle({ dgc: pages[pi].dgc }));
+        if (!refs.length && !sheets.length) continue;
+        // "G201", "No.23" or plain "23" for a fuse match the identifier itself and are listed first
+        const exact = !!qk && (idKey(e.id) === qk || (e.k === 'fuse' && idKey(e.id) === 'NO' + qk));
+        if (q && !exact && !(qk && idKey(e.id).includes(qk)) && !refs.some(([, d]) => d.toLowerCase().includes(q))) continue;
+        rows.push({ e, refs, sheets, exact });
+      }
+      rows.sort((a, b) => b.exact - a.exact);
+      cxCount.textContent = rows.length > CX_MAX_ROWS ? CX_MAX_ROWS + ' of ' + rows.length : rows.length + ' identifiers';
+      cxBody.replaceChildren(...rows.slice(0, CX_MAX_ROWS).map(({ e, refs, sheets }) => {
+        const tr = document.createElement('tr');
+        const kd = tr.insertCell();
+        kd.className = 'kind';
+        kd.textContent = CX_KINDS[e.k].toUpperCase();
+        const id = tr.insertCell();
+        id.className = 'cx-id';
+        id.textContent = e.id;
+        if (e.box) {
+          const box = document.createElement('span');
+          box.className = 'cx-box';
+          box.textContent = e.box;
+          id.appendChild(box);
+        }
+        const details = [...new Set(refs.flatMap(([, d]) => d ? d.split('; ') : []))];
+        const dd = tr.insertCell();
+        if (details.length > 1) dd.appendChild(cxList(details));
+        else dd.textContent = details[0] || '';
+        tr.insertCell().appendChild(cxList(refs.map(([pi]) => {
+          const page = pages[pi];
+          const span = document.createElement('span');
+          span.appendChild(pageLink(page.t, page.p));
+          if (labels[page.q]) {
+            const b = document.createElement('span');
+            b.className = 'badge';
+            b.textContent = labels[page.q];
+            span.appendChild(b);
+          }
+          return span;
+        })));
+        // Sheets open with the identifier's label highlighted by the diagram viewer
+        tr.insertCell().appendChild(cxList(sheets.map(([pi, find]) => {
+          const page = pages[pi];
+          return pageLink(page.t + (page.s ? ' (sheet ' + page.s + ')' : ''), page.p, '#find=' + encodeURIComponent(find));
+        })));
+        return tr;
+      }));
+    }
+
+    document.getElementById('openConnectors').addEventListener('click', async () => { await ensureConnectorsLoaded(); renderConnectors(); cxFilter.focus(); });
+    cxKind.addEventListener('change', renderConnectors);
+    cxFilter.addEventListener('input', renderConnectors);
+    viewRenderers.set(cxView, renderConnectors);
+
+    // ----- Offline: service worker, update status, section downloads -----
+    const CONTENT_CACHE = '${CACHE_PREFIX}-content';
+    const offlineKey = 'accord:offline'; // { sectionId: build version it was downloaded from }
+    const offView = document.getElementById('offlineView');
+    const offStatus = document.getElementById('offStatus');
+    const offUsage = document.getElementById('offUsage');
+    const offBody = document.querySelector('#offTable tbody');
+    const updateBar = document.getElementById('updateBar');
+    const swSupported = 'serviceWorker' in navigator && 'caches' in window && location.protocol !== 'file:';
+    let offline = null; // { version, sections }
+    let swState = swSupported ? 'Registering service worker…' : 'Offline use needs the manual served over http(s)';
+    const downloading = new Map(); // section id -> progress text
+
+    function setSwState(text) {
+      swState = text;
+      if (!offView.hidden) renderOffline();
+    }
+
+    if (swSupported) {
+      let updating = false;
+      const updateReady = (worker) => {
+        updateBar.hidden = false;
+        setSwState('Update downloaded, reload to use it');
+        updateBar.querySelector('button').onclick = () => { updating = true; worker.postMessage('skipWaiting'); };
+      };
+      navigator.serviceWorker.addEventListener('controllerchange', () => { if (updating) location.reload(); });
+      navigator.serviceWorker.register('${SW_FILE}').then((reg) => {
+        setSwState(reg.active ? 'Ready for offline use' : 'Preparing offline copy…');
+        if (reg.waiting && navigator.serviceWorker.controller) updateReady(reg.waiting);
+        reg.addEventListener('updatefound', () => {
+          const worker = reg.installing;
+          setSwState(navigator.serviceWorker.controller ? 'Downloading update…' : 'Preparing offline copy…');
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed') {
+              if (navigator.serviceWorker.controller) updateReady(worker);
+              else setSwState('Ready for offline use');
+            } else if (worker.state === 'redundant') {
+              setSwState('Offline copy failed to install');
+            }
+          });
+        });
+      }).catch((e) => {
+        console.error('Service worker registration failed', e);
+        setSwState('Service worker registration failed');
+      });
+    }
+
+    function formatBytes(n) {
+      if (n < 1024) return n + ' B';
+      if (n < 1024 * 1024) return (n / 1024).toFixed(0) + ' KB';
+      if (n < 1024 * 1024 * 1024) return (n / 1024 / 1024).toFixed(1) + ' MB';
+      return (n / 1024 / 1024 / 1024).toFixed(2) + ' GB';
+    }
+
+    function downloadedSections() {
+      try { return JSON.parse(localStorage.getItem(offlineKey) || '{}'); }
+      catch { return {}; }
+    }
+
+    async function ensureOfflineLoaded() {
+      offline ||= await loadJson('${OFFLINE_FILE}', { version: '', sections: [], shared: {} }, 'no-cache');
+    }
+
+    // file -> number of downloaded sections that list it
+    function downloadedFiles(done) {
+      const held = new Map();
+      for (const s of offline.sections) if (done[s.id]) for (const f of s.files) held.set(f, (held.get(f) || 0) + 1);
+      return held;
+    }
+
+    // What downloading s adds (or removing it frees): shared files another downloaded section holds don't count
+    function sectionBytes(s, done, held) {
+      const own = done[s.id] ? 1 : 0;
+      return s.files.reduce((n, f) => n + (f in offline.shared && (held.get(f) || 0) <= own ? offline.shared[f] : 0), s.bytes);
+    }
+
+    async function renderUsage() {
+      if (!navigator.storage || !navigator.storage.estimate) { offUsage.textContent = ''; return; }
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      offUsage.textContent = 'Storage used: ' + formatBytes(usage) + (quota ? ' of ' + formatBytes(quota) : '');
+      if (quota) {
+        const meter = document.createElement('meter');
+        meter.min = 0; meter.max = quota; meter.value = usage;
+        offUsage.appendChild(meter);
+      }
+    }
+
+    function renderOffline() {
+      offStatus.textContent = swState + (offline && offline.version ? ' · build ' + offline.version : '');
+      if (!offline) return;
+      const done = downloadedSections();
+      const held = downloadedFiles(done);
+      offBody.replaceChildren(...offline.sections.map((s) => {
+        const tr = document.createElement('tr');
+        tr.insertCell().textContent = s.label;
+        const pages = tr.insertCell(); pages.className = 'num'; pages.textContent = s.pages;
+        const size = tr.insertCell(); size.className = 'num'; size.textContent = formatBytes(sectionBytes(s, done, held));
+        const status = tr.insertCell();
+        const act = tr.insertCell();
+        if (downloading.has(s.id)) {
+          status.textContent = downloading.get(s.id);
+        } else if (done[s.id]) {
+          const current = done[s.id] === offline.version;
+          status.className = current ? 'done' : 'stale';
+          status.textContent = current ? 'Available offline' : 'Outdated';
+        }
+        if (swSupported && !downloading.has(s.id)) {
+          const b = document.createElement('button');
+          b.type = 'button';
+          b.textContent = done[s.id] ? (done[s.id] === offline.version ? 'Remove' : 'Update') : 'Download';
+          b.addEventListener('click', () => (b.textContent === 'Remove' ? removeSection(s) : downloadSection(s)));
+          act.appendChild(b);
+        }
+        return tr;
+      }));
+      renderUsage();
+    }
+
+    async function downloadSection(s) {
+      const cache = await caches.open(CONTENT_CACHE);
+      const BATCH = 8;
+      let failed = 0;
+      if (navigator.storage && navigator.storage.persist) navigator.storage.persist();
+      for (let i = 0; i < s.files.length; i += BATCH) {
+        downloading.set(s.id, 'Downloading ' + Math.round(i / s.files.length * 100) + '%');
+        renderOffline();
+        await Promise.all(s.files.slice(i, i + BATCH).map(async (f) => {
+          try {
+            const res = await fetch(f, { cache: 'no-cache' });
+            if (res.ok) await cache.put(f, res);
+            else failed++;
+          } catch { failed++; }
+        }));
+      }
+      downloading.delete(s.id);
+      const done = downloadedSections();
+      if (failed) {
+        delete done[s.id];
+        alert(failed + ' file(s) of "' + s.label + '" could not be downloaded; try again when online.');
+      } else {
+        done[s.id] = offline.version;
+      }
+      localStorage.setItem(offlineKey, JSON.stringify(done));
+      renderOffline();
+    }
+
+    async function removeSection(s) {
+      const cache = await caches.open(CONTENT_CACHE);
+      const done = downloadedSections();
+      delete done[s.id];
+      // Files other downloaded sections list (the shared stylesheets, ...) stay cached
+      const held = downloadedFiles(done);
+      await Promise.all(s.files.filter(f => !held.has(f)).map(f => cache.delete(f)));
+      localStorage.setItem(offlineKey, JSON.stringify(done));
+      renderOffline();
+    }
+
+    document.getElementById('openOffline').addEventListener('click', async () => { await ensureOfflineLoaded(); renderOffline(); });
+
     // ----- Search (debounced) -----
     let searchTimer = null;
     let searchSeq = 0;
 
     function filterTitlesNow(q, hideDup) {
       const mySeq = ++searchSeq;
+      showTree(true);
       let i = 0;
       const CHUNK = 1500;
       function step() {
@@ -712,92 +4740,153 @@ ${listHtml}
         for (; i < end; i++) {
           const { title, el, isDup } = items[i];
           const match = q ? title.includes(q) : true;
-          const visible = match && (!hideDup || !isDup);
+          const visible = match && (!hideDup || !isDup) && fitsVehicle(items[i]);
           el.style.display = visible ? '' : 'none';
-          const sn = el.querySelector('.snippet'); if (sn) sn.remove();
-          const badge = el.querySelector('.badge'); if (badge) badge.remove();
         }
         if (i < items.length) requestAnimationFrame(step);
+        else syncGroups(!!q);
       }
       requestAnimationFrame(step);
     }
 
-    // ----- Content search (no worker) -----
-    let ftIndex = null; // [{p,t,w,s}]
-    let ftLoading = false;
+    // ----- Content search (inverted index, BM25) -----
+    const itemsByPath = new Map(items.map(it => [it.path, it]));
+    const FT_SNIPPETS = 40; // results that get a snippet (fetches d_<n>.json shards)
+    const FT_MAX_RESULTS = 250;
+    let ftMeta = null;
+    const ftShards = new Map(); // file -> Promise<json>
+
+    function ftFetch(file) {
+      if (!ftShards.has(file)) {
+        ftShards.set(file, fetch('${FT_INDEX_DIR}/' + file, { cache: 'force-cache' })
+          .then(r => r.json())
+          .catch(e => { console.error('Index shard load failed', file, e); ftShards.delete(file); return null; }));
+      }
+      return ftShards.get(file);
+    }
 
     async function ensureFulltextLoaded() {
-      if (ftIndex || ftLoading) return;
-      ftLoading = true;
-      try {
-        const res = await fetch('${FT_INDEX_FILE}', { cache: 'force-cache' });
-        ftIndex = await res.json();
-      } catch (e) {
-        console.error('Fulltext index load failed', e);
-        ftIndex = [];
-      } finally {
-        ftLoading = false;
+      if (!ftMeta) ftMeta = await ftFetch('meta.json');
+      return ftMeta;
+    }
+
+    function hexKey(key) {
+      return Array.from(new TextEncoder().encode(key), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Same normalisation as the build: lowercase, letters/digits only, terms of 3+ chars
+    function ftTerms(q) {
+      const norm = q.toLowerCase().replace(/[^\\p{L}\\p{N}\\s]/gu, ' ');
+      return [...new Set(norm.split(/\\s+/).filter(t => t.length > 2))];
+    }
+
+    // Index terms starting with t: from the shard whose key prefixes t, or all shards under t
+    async function ftExpand(t) {
+      const keys = ftMeta.shards.filter(k => t.startsWith(k) || k.startsWith(t));
+      const shards = await Promise.all(keys.map(k => ftFetch('t_' + hexKey(k) + '.json')));
+      const out = [];
+      for (const shard of shards) {
+        if (!shard) continue;
+        for (const term in shard) if (term.startsWith(t)) out.push([term, shard[term]]);
+      }
+      return out.sort((a, b) => (a[0] === t ? -1 : b[0] === t ? 1 : a[0].length - b[0].length)).slice(0, 30);
+    }
+
+    async function ftRank(terms) {
+      const { N, avgdl, boost, k1, b, docs } = ftMeta;
+      const scores = new Map(); // docId -> { score, hits: Set(term), body: Set(term) }
+      for (const t of terms) {
+        for (const [term, fields] of await ftExpand(t)) {
+          const weight = term === t ? 1 : 0.6; // prefix matches count less than exact ones
+          fields.forEach((postings, f) => {
+            const df = postings.length / 2;
+            if (!df) return;
+            const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+            let id = 0;
+            for (let i = 0; i < postings.length; i += 2) {
+              id += postings[i];
+              const tf = postings[i + 1];
+              const dl = docs[id][f + 1];
+              const s = weight * boost[f] * idf * tf * (k1 + 1) / (tf + k1 * (1 - b + b * dl / (avgdl[f] || 1)));
+              let r = scores.get(id);
+              if (!r) scores.set(id, r = { score: 0, hits: new Set(), text: new Set() });
+              r.score += s;
+              r.hits.add(t);
+              if (f !== 2) r.text.add(t);
+            }
+          });
+        }
       }
+      return [...scores].filter(([, r]) => r.hits.size === terms.length)
+        .sort((a, b) => b[1].score - a[1].score)
+        .map(([id, r]) => ({ id, p: docs[id][0], score: r.score, figOnly: r.text.size < terms.length }));
+    }
+
+    async function ftSnippets(results, terms) {
+      const size = ftMeta.docShardSize;
+      await Promise.all(results.map(async r => {
+        const shard = await ftFetch('d_' + Math.floor(r.id / size) + '.json');
+        const d = shard && shard[r.id % size];
+        if (!d) return;
+        r.s = d.s;
+        // Terms only found in callout/wiring labels: show the matching labels
+        if (r.figOnly && d.f) r.fig = d.f.filter(l => terms.some(t => l.toLowerCase().includes(t))).slice(0, 6);
+      }));
+    }
+
+    function showTree(on) {
+      listEl.hidden = !on;
+      ftList.hidden = on;
+      if (on) ftList.replaceChildren();
     }
 
+    // Ranked list (best first) instead of the tree while searching content
     function renderContentResults(results) {
       const hideDup = !!toggleHideDup.checked;
-      const visiblePaths = new Set(results.map(r=>r.p));
-      items.forEach(({el, isDup, path})=>{
-        const vis = visiblePaths.has(path) && (!hideDup || !isDup);
-        el.style.display = vis ? '' : 'none';
-        const old = el.querySelector('.snippet'); if (old) old.remove();
-        const bOld = el.querySelector('.badge'); if (bOld) bOld.remove();
-        if (vis) {
-          const r = results.find(x=>x.p===path);
-          if (r && r.s) {
-            const sn = document.createElement('div');
-            sn.className = 'snippet';
-            sn.textContent = r.s + '…';
-            el.appendChild(sn);
-            const a = el.querySelector('a');
-            if (a) {
-              const b = document.createElement('span');
-              b.className = 'badge';
-              b.textContent = 'content';
-              a.appendChild(b);
-            }
-          }
+      showTree(false);
+      ftList.replaceChildren();
+      for (const r of results) {
+        const it = itemsByPath.get(r.p);
+        const li = document.createElement('li');
+        li.className = 'page' + (it && it.isDup ? ' dup' : '');
+        const a = it ? it.el.querySelector('a').cloneNode(true) : Object.assign(document.createElement('a'), { textContent: r.p });
+        a.setAttribute('data-path', r.p);
+        a.style.background = '';
+        const badge = document.createElement('span');
+        const fig = r.fig && r.fig.length;
+        badge.className = 'badge' + (r.figOnly ? ' fig' : '');
+        badge.textContent = r.figOnly ? 'figure' : 'content';
+        a.appendChild(badge);
+        li.appendChild(a);
+        if (r.s || fig) {
+          const sn = document.createElement('div');
+          sn.className = 'snippet';
+          sn.textContent = fig ? 'Figure: ' + r.fig.join(' · ') : r.s + '…';
+          li.appendChild(sn);
         }
-      });
+        ftList.appendChild(li);
+      }
+      if (!results.length) {
+        const li = document.createElement('li');
+        li.className = 'hint';
+        li.textContent = 'No pages match';
+        ftList.appendChild(li);
+      }
     }
 
     async function contentSearch(q) {
-      await ensureFulltextLoaded();
-      if (!ftIndex || !ftIndex.length) { renderContentResults([]); return; }
+      const mySeq = ++searchSeq;
+      const terms = ftTerms(q);
+      if (!terms.length || !(await ensureFulltextLoaded())) { filterTitlesNow(q, !!toggleHideDup.checked); return; }
 
-      const terms = q.split(/\s+/).filter(Boolean);
-      const results = [];
-      let i = 0;
-      const CHUNK = 1200;
-
-      return new Promise(resolve => {
-        function step() {
-          const end = Math.min(i + CHUNK, ftIndex.length);
-          for (; i < end; i++) {
-            const it = ftIndex[i];
-            let ok = true, score = 0;
-            for (const t of terms) {
-              if (it.w.indexOf(t) === -1) { ok = false; break; }
-              score++;
-            }
-            if (ok) results.push({ p: it.p, t: it.t, s: it.s, score });
-          }
-          if (i < ftIndex.length) {
-            requestAnimationFrame(step);
-          } else {
-            results.sort((a,b)=> b.score - a.score || a.t.localeCompare(b.t));
-            renderContentResults(results.slice(0, 250));
-            resolve();
-          }
-        }
-        requestAnimationFrame(step);
-      });
+      const hideDup = !!toggleHideDup.checked;
+      const ranked = (await ftRank(terms)).filter(r => {
+        const it = itemsByPath.get(r.p);
+        return it && (!hideDup || !it.isDup) && fitsVehicle(it);
+      }).slice(0, FT_MAX_RESULTS);
+      await ftSnippets(ranked.slice(0, FT_SNIPPETS), terms);
+      if (mySeq !== searchSeq) return;
+      renderContentResults(ranked);
     }
 
     async function applySearch() {
@@ -840,10 +4929,14 @@ ${listHtml}
   </script>
 </body>
 </html>`;
-  await fs.writeFile(path.join(outDir, "index.html"), html, "utf8");
+  await writeOutput(out, "index.html", html);
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
+if (isMainThread) {
+  main().catch(err => {
+    console.error(err instanceof UsageError ? err.message : err);
+    process.exit(1);
+  });
+} else {
+  pageWorker(workerData);
+}
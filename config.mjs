@@ -0,0 +1,145 @@
+// config.mjs
+// Settings shared by build.mjs and analyze.mjs. An optional accord07.config.js or
+// accord07.config.json in the working directory (or the file given with --config) overrides
+// the scripts' defaults, and named command-line options override the config file.
+//
+// Settings (all optional):
+//   srcDir          source manual directory (both scripts)
+//   outDir          build output directory
+//   analyzeOutDir   analyze.mjs report directory
+//   lang            analyze.mjs report language (en, fi)
+//   hammingMax      HAMMING_MAX: max SimHash distance of duplicate pages
+//   jaccardMin      JACCARD_MIN: min token-set similarity of duplicate pages
+//   navRootPrefix   NAV_ROOT_PREFIX: only pages under it are listed in the nav
+//   ftSnippetChars  FT_SNIPPET_CHARS: length of full-text result snippets
+//   excludeFromNav  EXCLUDE_FROM_NAV: paths kept out of the nav (strings are case-insensitive
+//                   regular expressions; accord07.config.js may use RegExp objects)
+//   stages          build stages to run: copy, clean, merge-frames, dedupe, fulltext, index, print
+//   jobs            page worker threads
+//
+// Example accord07.config.json:
+//   { "outDir": "dist", "jaccardMin": 0.95, "excludeFromNav": ["^_COM/", "/ESMBLANK\\.HTML$"],
+//     "stages": ["copy", "clean", "merge-frames", "index"] }
+// accord07.config.js exports the same object (module.exports = { ... }; a .mjs file given with
+// --config uses export default). Directories in a config file are relative to the file.
+
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+
+export const CONFIG_FILES = ["accord07.config.js", "accord07.config.json"];
+
+// A bad option, setting or config file: the scripts print just the message, without a stack trace
+export class UsageError extends Error {}
+
+const SETTING_TYPES = {
+  srcDir: "dir",
+  outDir: "dir",
+  analyzeOutDir: "dir",
+  lang: "string",
+  hammingMax: "int",
+  jaccardMin: "number",
+  navRootPrefix: "string",
+  ftSnippetChars: "int",
+  excludeFromNav: "patterns",
+  stages: "list",
+  jobs: "int"
+};
+
+function toPattern(p) {
+  if (p instanceof RegExp) return p;
+  if (typeof p !== "string") return null;
+  try { return new RegExp(p, "i"); } catch { return null; }
+}
+
+// Checks/converts one value (config files give JSON values, the command line gives strings)
+function convertValue(type, value, label) {
+  const invalid = () => new UsageError(`Invalid value for ${label}: ${JSON.stringify(String(value))}`);
+  const num = typeof value === "string" && value.trim() ? Number(value) : value;
+  switch (type) {
+    case "int":
+      if (!Number.isInteger(num) || num < 0) throw invalid();
+      return num;
+    case "number":
+      if (typeof num !== "number" || !Number.isFinite(num)) throw invalid();
+      return num;
+    case "list": {
+      const list = typeof value === "string" ? value.split(",").map(s => s.trim()).filter(Boolean) : value;
+      if (!Array.isArray(list) || list.some(s => typeof s !== "string")) throw invalid();
+      return list;
+    }
+    case "patterns": {
+      const list = (Array.isArray(value) ? value : [value]).map(toPattern);
+      if (list.includes(null)) throw invalid();
+      return list;
+    }
+    default:
+      if (typeof value !== "string" || !value) throw invalid();
+      return value;
+  }
+}
+
+// { file, settings } from the given file or the first CONFIG_FILES entry in the working
+// directory; { file: null, settings: {} } when there is none
+export async function loadConfig(file) {
+  for (const name of file ? [file] : CONFIG_FILES) {
+    const abs = path.resolve(name);
+    try { await fs.access(abs); }
+    catch {
+      if (file) throw new UsageError(`Config file not found: ${file}`);
+      continue;
+    }
+    let raw;
+    if (/\.json$/i.test(abs)) {
+      try { raw = JSON.parse(await fs.readFile(abs, "utf8")); }
+      catch (e) { throw new UsageError(`${name}: ${e.message}`); }
+    } else {
+      raw = (await import(pathToFileURL(abs).href)).default;
+    }
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new UsageError(`${name}: expected an object of settings`);
+
+    const settings = {};
+    for (const [key, value] of Object.entries(raw)) {
+      const type = SETTING_TYPES[key];
+      if (!type) throw new UsageError(`${name}: unknown setting "${key}"`);
+      settings[key] = convertValue(type, value, `${key} in ${name}`);
+      if (type === "dir") settings[key] = path.resolve(path.dirname(abs), settings[key]);
+    }
+    return { file: abs, settings };
+  }
+  return { file: null, settings: {} };
+}
+
+// options: [{ flag: "--out", short?, key, arg?: "dir", type?, repeat?, help }]; options without
+// an arg are switches. Values of settings are converted like config values, others by `type`
+// (default: string). Returns { values: { key: value }, positional: [...] }.
+export function parseArgs(argv, options) {
+  const values = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("-") || a === "-") { positional.push(a); continue; }
+    const eq = a.startsWith("--") ? a.indexOf("=") : -1;
+    const flag = eq < 0 ? a : a.slice(0, eq);
+    const opt = options.find(o => o.flag === flag || o.short === flag);
+    if (!opt) throw new UsageError(`Unknown option ${flag} (see --help)`);
+    if (!opt.arg) { values[opt.key] = true; continue; }
+
+    const value = eq < 0 ? argv[++i] : a.slice(eq + 1);
+    if (value === undefined) throw new UsageError(`${flag} needs a value (see --help)`);
+    const converted = convertValue(opt.type ?? SETTING_TYPES[opt.key] ?? "string", value, flag);
+    values[opt.key] = opt.repeat && values[opt.key] ? [...values[opt.key], ...converted] : converted;
+  }
+  return { values, positional };
+}
+
+export function renderHelp({ usage, options, footer = "" }) {
+  const rows = options.map(o => [`${o.short ? `${o.short}, ` : "    "}${o.flag}${o.arg ? ` <${o.arg}>` : ""}`, o.help]);
+  const width = Math.max(...rows.map(([left]) => left.length));
+  return [
+    usage,
+    "",
+    ...rows.map(([left, help]) => `  ${left.padEnd(width)}  ${help}`),
+    ...(footer ? ["", footer] : [])
+  ].join("\n");
+}
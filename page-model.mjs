@@ -0,0 +1,455 @@
+// page-model.mjs
+// Structured model of a cleaned content page, so the viewer, search and exporters can work
+// from data instead of the IE-era markup.
+//
+// Content pages are a sequence of table.Viewer rows: td#textTd holds headings
+// (servinfosub_title, procedure_sub_title, ...), <a name="i010"> anchors and ol/li value="N"
+// steps; td#graphTd holds the figures for that row. Run on the page after build.mjs has
+// rewritten links, turned safety notes into aside.esm-callout and inlined the overlay figures.
+//
+// parsePageModel($, { path, title, figures }) -> {
+//   version, path, title,
+//   sections: [{ title, kind, anchors, blocks }],
+//   figures: [{ id, title, thumb, zoom, script, img, width, height, labels }],
+//   warnings: [{ kind, id, items }],
+//   xrefs: [{ text, href }]
+// }
+//
+// renderPageModel(model, figureHtml) turns the sections back into a responsive layout that
+// replaces the Viewer tables (figureHtml(id) supplies the svg / thumbnail link markup).
+// Blocks: text { text, html? }, step { n, text, blocks }, list { ordered, items, html? },
+// table { caption, bordered, rows: [[{ text, head?, colspan?, rowspan?, html? }]] },
+// callout { kind, id, items, html? }, link { text, href, zoom? }, image { src, alt?, href? },
+// figures { ids }, anchor {}.
+// Any block may carry the <a name> anchors that preceded it as anchors; html is only present
+// when the text has inline markup (links, bold, sub/superscripts).
+//
+// cleanText, escapeHtml and figureLabelTexts are exported for build.mjs, so page text, markup
+// and figure labels are normalized the same way in the model and in the build's indexes.
+
+export const PAGE_MODEL_VERSION = 2;
+
+const SECTION_CLASSES = [
+  "servinfosub_title", "procedure_sub_title", "procedure_topic_title", "topic_title",
+  "test_procedure_title", "tool_list_title", "exploded_view_title", "link_title"
+];
+const CAPTION_CLASSES = ["table_title", "figure_title"];
+const SKIP_SELECTOR = "script, style, template, br, hr, .esm-tools, .esm-safety";
+const BLOCK_TAGS = new Set(["div", "p", "ol", "ul", "table", "aside", "li", "dl", "center", "blockquote"]);
+const PLAIN_INLINE_RE = /<(?!\/?(?:br)\b)[a-z]/i;
+const INLINE_TAGS = new Set(["b", "strong", "i", "em", "u", "sup", "sub", "span", "font", "small", "big", "nobr"]);
+
+export function cleanText(str) {
+  return (str || "")
+    .replace(/[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g, " ")
+    .replace(/[\u200B-\u200D\uFEFF\u2060\u00AD]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function escapeHtml(str) {
+  return String(str ?? "").replace(/[&<>"]/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;" }[c]));
+}
+
+function hasClass($el, names) { return names.find(c => $el.hasClass(c)) || null; }
+
+// Text of each leaf block (list item, paragraph) below el
+function leafTexts($, $el) {
+  const leaves = $el.find("div, li, p").filter((_, el) => $(el).find("div, li, p").length === 0).toArray();
+  return (leaves.length ? leaves : [$el.get(0)]).map(el => cleanText($(el).text())).filter(Boolean);
+}
+
+function inlineHtml($, $el) {
+  const html = cleanText(INLINE_TAGS.has($el.get(0).tagName) ? $.html($el) : $el.html());
+  return PLAIN_INLINE_RE.test(html) ? html : null;
+}
+
+function textBlock($, $el) {
+  const text = cleanText($el.text());
+  if (!text) return null;
+  const html = inlineHtml($, $el);
+  return html ? { type: "text", text, html } : { type: "text", text };
+}
+
+// Items are the <li>s; anything else inside the list (the manual nests "-" tables there)
+// belongs to the item before it
+function listBlock($, $list) {
+  const items = [];
+  for (const el of $list.children().toArray()) {
+    const $el = $(el);
+    const text = cleanText($el.text());
+    const html = el.tagName === "li" ? inlineHtml($, $el) : $.html($el);
+    if (el.tagName === "li" || !items.length) items.push({ text, html });
+    else {
+      const prev = items[items.length - 1];
+      prev.html = (prev.html ?? escapeHtml(prev.text)) + html;
+      prev.text = cleanText(prev.text + " " + text);
+    }
+  }
+  const kept = items.filter(it => it.text);
+  if (!kept.length) return null;
+  const block = { type: "list", ordered: $list.is("ol"), items: kept.map(it => it.text) };
+  if (kept.some(it => it.html)) block.html = kept.map(it => it.html ?? escapeHtml(it.text));
+  return block;
+}
+
+function tableBlock($, $table, caption) {
+  const rows = [];
+  $table.find("tr").each((_, tr) => {
+    if ($(tr).closest("table").get(0) !== $table.get(0)) return; // nested tables stay in their cell
+    const cells = $(tr).children("td, th").toArray().map(td => {
+      const $td = $(td);
+      const cell = { text: cleanText($td.text()) };
+      if (td.tagName === "th") cell.head = true;
+      const colspan = Number($td.attr("colspan") || 1);
+      const rowspan = Number($td.attr("rowspan") || 1);
+      if (colspan > 1) cell.colspan = colspan;
+      if (rowspan > 1) cell.rowspan = rowspan;
+      const html = cleanText($td.html());
+      if (PLAIN_INLINE_RE.test(html)) cell.html = html;
+      return cell;
+    });
+    if (cells.length) rows.push(cells);
+  });
+  const bordered = $table.attr("frame") === "border" || $table.attr("rules") === "all" || Number($table.attr("border")) > 0;
+  return rows.length ? { type: "table", caption, bordered, rows } : null;
+}
+
+function figureIds($, $el) {
+  const ids = [];
+  $el.find("svg.esm-fig[id], a[data-zoom]").addBack("svg.esm-fig[id], a[data-zoom]").each((_, el) => {
+    if ($(el).closest("template").length) return;
+    const id = el.tagName === "a" ? $(el).attr("data-zoom") : $(el).attr("id");
+    if (!ids.includes(id)) ids.push(id);
+  });
+  return ids;
+}
+
+// Images that are not figures (no overlay, ZOOM target unresolved); href when they sit in a link.
+// cursor:hand icons outside links were IE script buttons (image size, print) and are left out.
+function imageBlocks($, $el) {
+  const control = img => /cursor:\s*hand/i.test($(img).attr("style") || "") && !$(img).closest("a[href]").length;
+  return $el.find("img[src]").addBack("img[src]").toArray().filter(img => !control(img)).map(img => {
+    const b = { type: "image", src: $(img).attr("src") };
+    const alt = cleanText($(img).attr("alt"));
+    const href = $(img).closest("a[href]").attr("href");
+    if (alt) b.alt = alt;
+    if (href) b.href = href;
+    return b;
+  });
+}
+
+// aside.esm-callout written by build.mjs for WARNING/CAUTION/NOTICE/NOTE
+function calloutBlock($, $el) {
+  const kind = ($el.attr("class") || "").split(/\s+/).find(c => c.startsWith("esm-") && c !== "esm-callout")?.slice(4) || "note";
+  const body = $el.children(".esm-callout-body");
+  const block = { type: "callout", kind, id: $el.attr("id") || "", items: leafTexts($, body) };
+  const html = inlineHtml($, body);
+  if (html && /<(?:a|b|strong|i|em|sup|sub|table|ul|ol)\b/i.test(html)) block.html = html;
+  return block;
+}
+
+function createContext() {
+  return { anchors: [], caption: null, figureInfo: new Map() };
+}
+
+function takeAnchors(ctx) {
+  const a = ctx.anchors;
+  ctx.anchors = [];
+  return a;
+}
+
+// Figure placements: svg.esm-fig inlined in the page or thumbnail links opening a lightbox figure
+function noteFigures($, $el, ctx) {
+  const ids = figureIds($, $el);
+  for (const id of ids) {
+    if (ctx.figureInfo.has(id)) continue;
+    const node = $el.find(`[id="${id}"], a[data-zoom="${id}"]`).addBack(`[id="${id}"], a[data-zoom="${id}"]`).first();
+    const holder = node.closest("div").length ? node.closest("div") : node;
+    const title = cleanText(holder.find(".figure_title").first().text()) || ctx.caption || "";
+    ctx.caption = null;
+    const thumb = node.is("a") ? node.find("img").attr("src") || "" : "";
+    ctx.figureInfo.set(id, { title, thumb, zoom: node.is("a") });
+  }
+  return ids;
+}
+
+function parseBlocks($, nodes, ctx) {
+  const blocks = [];
+  const push = b => {
+    if (!b) return;
+    if (ctx.anchors.length) b.anchors = takeAnchors(ctx);
+    blocks.push(b);
+  };
+
+  for (const node of nodes) {
+    if (node.type === "text") {
+      const text = cleanText(node.data);
+      if (text) push({ type: "text", text });
+      continue;
+    }
+    if (node.type !== "tag") continue;
+    const $el = $(node);
+    if ($el.is(SKIP_SELECTOR)) continue;
+
+    if ($el.is("a[name]") && !$el.attr("href")) {
+      ctx.anchors.push($el.attr("name"));
+      continue;
+    }
+    if (hasClass($el, CAPTION_CLASSES)) {
+      ctx.caption = cleanText($el.text());
+      continue;
+    }
+    if ($el.is("svg.esm-fig")) {
+      push({ type: "figures", ids: noteFigures($, $el, ctx) });
+      continue;
+    }
+    if ($el.is("img")) {
+      imageBlocks($, $el).forEach(push);
+      continue;
+    }
+    if ($el.is("aside.esm-callout")) {
+      push(calloutBlock($, $el));
+      continue;
+    }
+    if ($el.is("ol")) {
+      let n = 0;
+      for (const li of $el.children("li").toArray()) {
+        n = Number($(li).attr("value")) || n + 1;
+        const anchors = takeAnchors(ctx);
+        const inner = parseBlocks($, li.children || [], ctx);
+        const text = inner.filter(b => b.type === "text").map(b => b.text).join(" ");
+        blocks.push(anchors.length ? { type: "step", n, anchors, text, blocks: inner } : { type: "step", n, text, blocks: inner });
+      }
+      continue;
+    }
+    if ($el.is("ul")) {
+      push(listBlock($, $el));
+      continue;
+    }
+    if ($el.is("table")) {
+      push(tableBlock($, $el, ctx.caption));
+      ctx.caption = null;
+      continue;
+    }
+    // Thumbnails open a lightbox figure; text links (tool names, cross-references) stay links
+    if ($el.is("a[href]")) {
+      const text = cleanText($el.text());
+      const zoom = $el.attr("data-zoom");
+      const ids = text ? [] : noteFigures($, $el, ctx);
+      if (ids.length) push({ type: "figures", ids });
+      else if (!text) imageBlocks($, $el).forEach(push);
+      else push(zoom ? { type: "link", text, href: $el.attr("href"), zoom } : { type: "link", text, href: $el.attr("href") });
+      continue;
+    }
+    // Containers: recurse when they hold blocks, otherwise a paragraph of inline text
+    const hasBlocks = $el.children().toArray().some(c => BLOCK_TAGS.has(c.tagName) || $(c).is("svg.esm-fig, a[data-zoom], a[name]"));
+    if (hasBlocks) blocks.push(...parseBlocks($, node.children || [], ctx));
+    else if (!$el.is("svg")) {
+      const b = textBlock($, $el);
+      if (b) push(b);
+      else imageBlocks($, $el).forEach(push);
+    }
+  }
+  return mergeFigureBlocks(blocks);
+}
+
+function mergeFigureBlocks(blocks) {
+  const out = [];
+  for (const b of blocks) {
+    const prev = out[out.length - 1];
+    if (b.type === "figures" && prev?.type === "figures") prev.ids.push(...b.ids.filter(id => !prev.ids.includes(id)));
+    else if (b.type !== "figures" || b.ids.length) out.push(b);
+  }
+  return out;
+}
+
+// Top-level parts of the page: the cells of each table.Viewer row (text cell, then its figure
+// cell; some rows only have a full-width figure cell), or the body
+function pageParts($) {
+  const cells = $("td#textTd, td#graphTd").filter((_, td) => !$(td).parents("td#textTd, td#graphTd").length).toArray();
+  const rows = new Map();
+  for (const td of cells) {
+    const tr = td.parent;
+    if (!rows.has(tr)) rows.set(tr, []);
+    rows.get(tr).push(td);
+  }
+  return rows.size ? [...rows.values()] : [[$("body").get(0)]];
+}
+
+function newSection(title, kind, anchors) {
+  return { title, kind, anchors, blocks: [] };
+}
+
+export function parsePageModel($, { path = "", title = "", figures = [] } = {}) {
+  const ctx = createContext();
+  const sections = [newSection("", "body", [])];
+
+  for (const cells of pageParts($)) {
+    for (const cell of cells) {
+      const isGraph = $(cell).is("td#graphTd");
+      for (const node of cell.children || []) {
+        const kind = node.type === "tag" && hasClass($(node), SECTION_CLASSES);
+        if (kind && !isGraph) {
+          sections.push(newSection(cleanText($(node).text()), kind.replace(/_title$/, ""), takeAnchors(ctx)));
+          continue;
+        }
+        const blocks = parseBlocks($, [node], ctx);
+        // A tool list is only the tool links after its heading
+        if (sections[sections.length - 1].kind === "tool_list" && blocks.some(b => b.type !== "link")) {
+          sections.push(newSection("", "body", []));
+        }
+        sections[sections.length - 1].blocks.push(...blocks);
+      }
+      const blocks = sections[sections.length - 1].blocks;
+      blocks.splice(0, blocks.length, ...mergeFigureBlocks(blocks));
+    }
+  }
+  if (ctx.anchors.length) sections[sections.length - 1].blocks.push({ type: "anchor", anchors: takeAnchors(ctx) });
+
+  const byId = new Map();
+  for (const f of figures) if (!byId.has(f.id)) byId.set(f.id, f);
+  const figs = [...ctx.figureInfo].map(([id, info]) => {
+    // Inline figures are <jsbase>-<n>; lightbox figures are zoom-<jsbase> (first panel describes it)
+    const f = byId.get(id);
+    const fig = f?.fig;
+    return {
+      id,
+      ...info,
+      script: f?.script ?? "",
+      img: fig?.img?.src ?? "",
+      width: fig?.width ?? 0,
+      height: fig?.height ?? 0,
+      labels: fig ? figureLabelTexts(fig) : []
+    };
+  });
+
+  const warnings = [];
+  $("aside.esm-callout").each((_, el) => {
+    const { kind, id, items } = calloutBlock($, $(el));
+    warnings.push({ kind, id, items });
+  });
+
+  const xrefs = [];
+  const seen = new Set();
+  $("body a[href]").each((_, el) => {
+    const $a = $(el);
+    const href = $a.attr("href") || "";
+    if ($a.attr("data-zoom") || href.startsWith("#") || $a.closest(".esm-tools, .esm-safety, template").length) return;
+    const text = cleanText($a.text());
+    const k = href + "\u0000" + text;
+    if (!seen.has(k)) { seen.add(k); xrefs.push({ text, href }); }
+  });
+
+  return {
+    version: PAGE_MODEL_VERSION,
+    path,
+    title,
+    sections: sections.filter(s => s.title || s.blocks.length),
+    figures: figs,
+    warnings,
+    xrefs
+  };
+}
+
+// Distinct label strings of an overlay figure (multi-line labels joined, lone callout letters skipped)
+export function figureLabelTexts(fig) {
+  const texts = [
+    ...fig.labels.map(l => l.lines.map(line => line.map(r => r.text).join("")).join(" ")),
+    ...fig.paths.map(p => p.text)
+  ];
+  return [...new Set(texts.map(cleanText).filter(t => t.length > 1))];
+}
+
+// ------------- rendering -------------
+// Each run of blocks and the figures that followed it in the same Viewer row form one .esm-row:
+// text and figures side by side on wide screens, stacked on narrow ones.
+
+function anchorTags(names) { return (names || []).map(n => `<a name="${escapeHtml(n)}"></a>`).join(""); }
+
+// Consecutive content blocks closed by a figures block
+function modelRows(blocks) {
+  const rows = [];
+  let content = [];
+  for (const b of blocks) {
+    if (b.type === "figures") {
+      rows.push({ content, figures: b.ids, anchors: b.anchors });
+      content = [];
+    } else {
+      content.push(b);
+    }
+  }
+  if (content.length) rows.push({ content, figures: [] });
+  return rows;
+}
+
+function renderFigure(model, id, figureHtml) {
+  const html = figureHtml(id);
+  if (!html) return "";
+  const info = model.figures.find(f => f.id === id);
+  const caption = info?.title ? `<figcaption>${escapeHtml(info.title)}</figcaption>` : "";
+  return `<figure class="esm-figure">${caption}${html}<button type="button" class="esm-expand" aria-expanded="false">Expand</button></figure>`;
+}
+
+function renderCell(cell) {
+  const tag = cell.head ? "th" : "td";
+  const span = (cell.colspan ? ` colspan="${cell.colspan}"` : "") + (cell.rowspan ? ` rowspan="${cell.rowspan}"` : "");
+  return `<${tag}${span}>${cell.html ?? escapeHtml(cell.text)}</${tag}>`;
+}
+
+function renderBlock(model, b, figureHtml) {
+  const anchor = anchorTags(b.anchors);
+  switch (b.type) {
+    case "text":
+      return `${anchor}<p>${b.html ?? escapeHtml(b.text)}</p>`;
+    case "step":
+      return `${anchor}<ol class="esm-step"><li value="${b.n}">${renderBlocks(model, b.blocks, figureHtml)}</li></ol>`;
+    case "list": {
+      const tag = b.ordered ? "ol" : "ul";
+      return `${anchor}<${tag}>${b.items.map((t, i) => `<li>${b.html?.[i] ?? escapeHtml(t)}</li>`).join("")}</${tag}>`;
+    }
+    case "table": {
+      const caption = b.caption ? `<caption>${escapeHtml(b.caption)}</caption>` : "";
+      const rows = b.rows.map(r => `<tr>${r.map(renderCell).join("")}</tr>`).join("");
+      return `${anchor}<div class="esm-table-wrap"><table class="esm-table${b.bordered ? " bordered" : ""}">${caption}${rows}</table></div>`;
+    }
+    case "callout": {
+      const body = b.html ?? (b.items.length > 1 ? `<ul>${b.items.map(t => `<li>${escapeHtml(t)}</li>`).join("")}</ul>` : escapeHtml(b.items[0] ?? ""));
+      const id = b.id ? ` id="${escapeHtml(b.id)}"` : "";
+      return `${anchor}<aside class="esm-callout esm-${b.kind}"${id} role="note"><div class="esm-callout-head">${b.kind.toUpperCase()}</div><div class="esm-callout-body">${body}</div></aside>`;
+    }
+    case "link": {
+      const zoom = b.zoom ? ` data-zoom="${escapeHtml(b.zoom)}"` : "";
+      return `${anchor}<div class="esm-link"><a href="${escapeHtml(b.href)}"${zoom}>${escapeHtml(b.text)}</a></div>`;
+    }
+    case "image": {
+      const img = `<img src="${escapeHtml(b.src)}" alt="${escapeHtml(b.alt ?? "")}" loading="lazy">`;
+      return `${anchor}<div class="esm-image">${b.href ? `<a href="${escapeHtml(b.href)}">${img}</a>` : img}</div>`;
+    }
+    case "anchor":
+      return anchor;
+    case "figures":
+      return `${anchor}<div class="esm-figs">${b.ids.map(id => renderFigure(model, id, figureHtml)).join("")}</div>`;
+    default:
+      return "";
+  }
+}
+
+function renderBlocks(model, blocks, figureHtml) {
+  return blocks.map(b => renderBlock(model, b, figureHtml)).join("\n");
+}
+
+export function renderPageModel(model, figureHtml) {
+  const out = [];
+  for (const s of model.sections) {
+    if (s.title) out.push(`${anchorTags(s.anchors)}<h3 class="esm-section esm-${escapeHtml(s.kind)}">${escapeHtml(s.title)}</h3>`);
+    for (const row of modelRows(s.blocks)) {
+      const figs = row.figures.map(id => renderFigure(model, id, figureHtml)).join("");
+      const text = `<div class="esm-text">${renderBlocks(model, row.content, figureHtml)}</div>`;
+      out.push(figs
+        ? `<div class="esm-row has-figs">${text}${anchorTags(row.anchors)}<div class="esm-figs">${figs}</div></div>`
+        : `<div class="esm-row">${text}</div>`);
+    }
+  }
+  return `<div class="esm-page">\n${out.join("\n")}\n</div>`;
+}